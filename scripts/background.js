@@ -36,6 +36,11 @@ class DeskAgentBackground {
       this.handleDebuggerDetach(source, reason);
     });
 
+    // Closed tabs take their per-tab script state with them
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.scriptExecutor?.forgetTab(tabId);
+    });
+
     // Initialize script executor
     this.scriptExecutor = new ScriptExecutor(this);
   }
@@ -73,6 +78,11 @@ class DeskAgentBackground {
           sendResponse({ success: true });
           break;
 
+        case 'FRAME_TOKEN':
+          this.scriptExecutor.resolveFrameToken(message.token, sender);
+          sendResponse({ success: true });
+          break;
+
         case 'MODEL_READY_IN_CONFIG':
           // Config page notifies that model is loaded
           this.modelReadyInConfig = true;
@@ -159,6 +169,7 @@ class DeskAgentBackground {
     try {
       await chrome.debugger.detach({ tabId });
       this.attachedTabs.delete(tabId);
+      this.scriptExecutor?.forgetTab(tabId);
       console.log(`Debugger detached from tab ${tabId}`);
     } catch (error) {
       console.error('Error detaching debugger:', error);
@@ -216,6 +227,14 @@ class DeskAgentBackground {
 
   // Debugger command wrapper
   async sendDebuggerCommand(tabId, method, params = {}) {
+    // A script step that timed out stops at its next command
+    this.scriptExecutor?.throwIfStepAborted();
+    return this.sendEventCommand(tabId, method, params);
+  }
+
+  // Replies to debugger events (paused requests, dialogs) are not part of any step and must
+  // go out even while a timed-out step is aborting, or the page stays blocked
+  async sendEventCommand(tabId, method, params = {}) {
     try {
       console.log(`Sending debugger command: ${method} to tab ${tabId}`);
       const result = await chrome.debugger.sendCommand({ tabId }, method, params);
@@ -346,22 +365,24 @@ class DeskAgentBackground {
 
     console.log(`   📥 Parameters:`, parameters);
 
-    // Execute the script
-    await this.scriptExecutor.execute(script, parameters);
+    // Execute the script and merge its output into the payload
+    const result = await this.scriptExecutor.execute(script, parameters);
+    const scriptOutput = result?.output || {};
 
-    // For now, return the input payload merged with the parameters
-    // In future, we could capture actual script output
+    // Output goes under `output` so it cannot clobber loopItem/loopIndex or other payload keys
     const outputPayload = {
       ...inputPayload,
+      output: { ...(inputPayload.output || {}), ...scriptOutput },
       lastStep: {
         scriptId: script.id,
         scriptName: script.name,
         parameters: parameters,
+        output: scriptOutput,
         timestamp: new Date().toISOString()
       }
     };
 
-    console.log(`   📤 Output payload updated`);
+    console.log(`   📤 Output payload updated:`, Object.keys(scriptOutput));
 
     return outputPayload;
   }
@@ -376,7 +397,7 @@ class DeskAgentBackground {
 
     if (loopConfig.type === 'forEach') {
       // Extract array from payload using data source path
-      const dataArray = this.getNestedValue(inputPayload, loopConfig.dataSource);
+      const dataArray = this.getPayloadValue(inputPayload, loopConfig.dataSource);
 
       if (!Array.isArray(dataArray)) {
         console.warn(`   ⚠️  Data source is not an array: ${loopConfig.dataSource}`);
@@ -455,7 +476,7 @@ class DeskAgentBackground {
       // Replace $.path references with actual values
       const evaluatedExpression = expression.replace(/\$\.[\w.]+/g, (match) => {
         const path = match.substring(2); // Remove $. prefix
-        const value = this.getNestedValue(payload, path);
+        const value = this.getPayloadValue(payload, path);
         return JSON.stringify(value);
       });
 
@@ -485,7 +506,7 @@ class DeskAgentBackground {
       if (sourcePath.startsWith('$.')) {
         // Extract value from payload using path
         const path = sourcePath.substring(2);
-        const value = this.getNestedValue(sourcePayload, path);
+        const value = this.getPayloadValue(sourcePayload, path);
 
         if (value !== undefined) {
           result[targetKey] = value;
@@ -496,11 +517,17 @@ class DeskAgentBackground {
     return result;
   }
 
+  // Resolve a task payload path; script output fields (e.g. $.page.title) are found under payload.output
+  getPayloadValue(payload, path) {
+    const value = this.getNestedValue(payload, path);
+    return value !== undefined ? value : this.getNestedValue(payload?.output, path);
+  }
+
   // Get nested value from object using dot notation path
   getNestedValue(obj, path) {
     if (!path) return obj;
 
-    const parts = path.split('.');
+    const parts = this.parsePath(path);
     let current = obj;
 
     for (const part of parts) {
@@ -513,6 +540,34 @@ class DeskAgentBackground {
     return current;
   }
 
+  // Set nested value on object using dot notation path, creating containers as needed
+  setNestedValue(obj, path, value) {
+    const parts = this.parsePath(path);
+    if (parts.length === 0) return obj;
+
+    let current = obj;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const part = parts[i];
+      if (current[part] === null || typeof current[part] !== 'object') {
+        // Numeric next segment means we are building an array
+        current[part] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+      }
+      current = current[part];
+    }
+
+    current[parts[parts.length - 1]] = value;
+    return obj;
+  }
+
+  // Split "$.chat.messages[0].text" into ['chat', 'messages', '0', 'text']
+  parsePath(path) {
+    return String(path)
+      .replace(/^\$\.?/, '')
+      .replace(/\[(\d+)\]/g, '.$1')
+      .split('.')
+      .filter(part => part.length > 0);
+  }
+
   async getStoredScripts() {
     const result = await chrome.storage.local.get(['jsonScripts']);
     return result.jsonScripts || [];
@@ -633,6 +688,14 @@ class DeskAgentBackground {
   }
 
   handleDebuggerEvent(source, method, params) {
+    // Let the running script react to events (drag interception, etc.)
+    this.scriptExecutor?.handleDebuggerEvent(source, method, params);
+
+    // Per-request and per-console-line events are far too frequent to log or broadcast
+    if (/^(Network|Runtime|Fetch)\./.test(method)) {
+      return;
+    }
+
     console.log('Debugger event:', method, params);
 
     // Broadcast to interested listeners
@@ -649,9 +712,10 @@ class DeskAgentBackground {
   handleDebuggerDetach(source, reason) {
     const tabId = source.tabId;
     console.log(`⚠️ Debugger detached from tab ${tabId}, reason: ${reason}`);
+    this.scriptExecutor?.forgetTab(tabId);
 
     // If debugger was detached during script execution and we want to keep it attached, reattach
-    if (this.keepDebuggerAttached && this.scriptExecutor?.currentExecution?.tabId === tabId) {
+    if (this.keepDebuggerAttached && this.scriptExecutor?.currentExecution?.tabs?.includes(tabId)) {
       console.log(`🔄 Attempting to reattach debugger to tab ${tabId}...`);
 
       // Reattach after a short delay
@@ -660,6 +724,7 @@ class DeskAgentBackground {
           await chrome.debugger.attach({ tabId }, this.debuggerVersion);
           this.attachedTabs.set(tabId, true);
           console.log(`✅ Debugger reattached to tab ${tabId}`);
+          await this.scriptExecutor?.enableTabEvents(tabId);
         } catch (error) {
           console.error(`❌ Failed to reattach debugger to tab ${tabId}:`, error);
           this.attachedTabs.delete(tabId);
@@ -671,13 +736,339 @@ class DeskAgentBackground {
   }
 }
 
+// Number of run records kept in chrome.storage (runHistory)
+const MAX_RUN_HISTORY = 20;
+
+// Largest artifact (base64 characters) kept in run history; larger ones are only downloaded
+const MAX_HISTORY_ARTIFACT_SIZE = 10 * 1024 * 1024;
+
+// Console messages and page errors kept per run record
+const MAX_PAGE_LOG_ENTRIES = 500;
+
+// How long resolveFrame waits for an iframe's content script to answer
+const FRAME_RESOLVE_TIMEOUT_MS = 3000;
+
+// CDP Network.ResourceType values accepted by intercept rules
+const RESOURCE_TYPES = [
+  'Document', 'Stylesheet', 'Image', 'Media', 'Font', 'Script', 'TextTrack', 'XHR', 'Fetch', 'Prefetch',
+  'EventSource', 'WebSocket', 'Manifest', 'SignedExchange', 'Ping', 'CSPViolationReport', 'Preflight', 'Other'
+];
+
+// Steps that can run after closeTab closed the last script tab
+const TABLESS_STEPS = new Set(['newTab', 'switchTab', 'setOutput', 'waitAfter', 'childSteps', 'tryCatch']);
+
+// How long a timed-out step may take to stop before the run moves on without it
+const STEP_ABORT_GRACE_MS = 5000;
+
+// Steps that send input to the page; retrying one after a timeout could repeat the input
+const NON_IDEMPOTENT_STEPS = new Set([
+  'click', 'doubleClick', 'change', 'select', 'keyDown', 'keyUp', 'press', 'tap', 'swipe', 'pinch',
+  'dragAndDrop', 'uploadFile', 'handleDialog', 'executeScript'
+]);
+
+// Base64 characters per Runtime.callFunctionOn call when attaching stored files (multiple of 4)
+const UPLOAD_CHUNK_SIZE = 512 * 1024;
+
+// MouseEvent.buttons bit for each CDP mouse button while it is held
+const MOUSE_BUTTON_MASKS = { left: 1, right: 2, middle: 4, back: 8, forward: 16 };
+
+// Modifier names accepted in key chords, matched case-insensitively
+const MODIFIER_ALIASES = {
+  shift: 'Shift',
+  control: 'Control', ctrl: 'Control',
+  alt: 'Alt', option: 'Alt',
+  meta: 'Meta', cmd: 'Meta', command: 'Meta'
+};
+
+// US keyboard layout for CDP key events: key -> { key, code, keyCode, text?, shiftKey?, location? }.
+// shiftKey is the character the same physical key produces with Shift held
+const KEY_DEFINITIONS = (() => {
+  const keys = {
+    Shift: { key: 'Shift', code: 'ShiftLeft', keyCode: 16, location: 1 },
+    Control: { key: 'Control', code: 'ControlLeft', keyCode: 17, location: 1 },
+    Alt: { key: 'Alt', code: 'AltLeft', keyCode: 18, location: 1 },
+    Meta: { key: 'Meta', code: 'MetaLeft', keyCode: 91, location: 1 },
+    Enter: { key: 'Enter', code: 'Enter', keyCode: 13, text: '\r' },
+    Tab: { key: 'Tab', code: 'Tab', keyCode: 9 },
+    Backspace: { key: 'Backspace', code: 'Backspace', keyCode: 8 },
+    Delete: { key: 'Delete', code: 'Delete', keyCode: 46 },
+    Escape: { key: 'Escape', code: 'Escape', keyCode: 27 },
+    ' ': { key: ' ', code: 'Space', keyCode: 32, text: ' ' },
+    Insert: { key: 'Insert', code: 'Insert', keyCode: 45 },
+    Home: { key: 'Home', code: 'Home', keyCode: 36 },
+    End: { key: 'End', code: 'End', keyCode: 35 },
+    PageUp: { key: 'PageUp', code: 'PageUp', keyCode: 33 },
+    PageDown: { key: 'PageDown', code: 'PageDown', keyCode: 34 },
+    ArrowLeft: { key: 'ArrowLeft', code: 'ArrowLeft', keyCode: 37 },
+    ArrowUp: { key: 'ArrowUp', code: 'ArrowUp', keyCode: 38 },
+    ArrowRight: { key: 'ArrowRight', code: 'ArrowRight', keyCode: 39 },
+    ArrowDown: { key: 'ArrowDown', code: 'ArrowDown', keyCode: 40 },
+    CapsLock: { key: 'CapsLock', code: 'CapsLock', keyCode: 20 },
+    NumLock: { key: 'NumLock', code: 'NumLock', keyCode: 144 },
+    ScrollLock: { key: 'ScrollLock', code: 'ScrollLock', keyCode: 145 },
+    Pause: { key: 'Pause', code: 'Pause', keyCode: 19 },
+    PrintScreen: { key: 'PrintScreen', code: 'PrintScreen', keyCode: 44 },
+    ContextMenu: { key: 'ContextMenu', code: 'ContextMenu', keyCode: 93 }
+  };
+
+  for (let n = 1; n <= 12; n++) {
+    keys[`F${n}`] = { key: `F${n}`, code: `F${n}`, keyCode: 111 + n };
+  }
+
+  const shiftedDigits = ')!@#$%^&*(';
+  for (let d = 0; d <= 9; d++) {
+    keys[String(d)] = { key: String(d), code: `Digit${d}`, keyCode: 48 + d, text: String(d), shiftKey: shiftedDigits[d] };
+    keys[`Numpad${d}`] = { key: String(d), code: `Numpad${d}`, keyCode: 96 + d, text: String(d), location: 3 };
+  }
+
+  for (let c = 0; c < 26; c++) {
+    const lower = String.fromCharCode(97 + c);
+    const upper = lower.toUpperCase();
+    keys[lower] = { key: lower, code: `Key${upper}`, keyCode: 65 + c, text: lower, shiftKey: upper };
+  }
+
+  const punctuation = [
+    [';', ':', 'Semicolon', 186], ['=', '+', 'Equal', 187], [',', '<', 'Comma', 188], ['-', '_', 'Minus', 189],
+    ['.', '>', 'Period', 190], ['/', '?', 'Slash', 191], ['`', '~', 'Backquote', 192], ['[', '{', 'BracketLeft', 219],
+    ['\\', '|', 'Backslash', 220], [']', '}', 'BracketRight', 221], ["'", '"', 'Quote', 222]
+  ];
+  for (const [char, shifted, code, keyCode] of punctuation) {
+    keys[char] = { key: char, code, keyCode, text: char, shiftKey: shifted };
+  }
+
+  const numpadOperators = [['*', 'NumpadMultiply', 106], ['+', 'NumpadAdd', 107], ['-', 'NumpadSubtract', 109], ['.', 'NumpadDecimal', 110], ['/', 'NumpadDivide', 111]];
+  for (const [char, code, keyCode] of numpadOperators) {
+    keys[code] = { key: char, code, keyCode, text: char, location: 3 };
+  }
+  keys.NumpadEnter = { key: 'Enter', code: 'NumpadEnter', keyCode: 13, text: '\r', location: 3 };
+
+  // Shifted characters resolve to the physical key with Shift held ("A" -> KeyA, "?" -> Slash)
+  for (const definition of Object.values({ ...keys })) {
+    if (definition.shiftKey && !keys[definition.shiftKey]) {
+      keys[definition.shiftKey] = { ...definition, key: definition.shiftKey, text: definition.shiftKey, shift: true };
+    }
+  }
+
+  const aliases = {
+    Space: ' ', Esc: 'Escape', Return: 'Enter', Del: 'Delete', Up: 'ArrowUp', Down: 'ArrowDown', Left: 'ArrowLeft', Right: 'ArrowRight',
+    Ctrl: 'Control', Cmd: 'Meta', Command: 'Meta', Option: 'Alt', PgUp: 'PageUp', PgDn: 'PageDown'
+  };
+  for (const [alias, target] of Object.entries(aliases)) {
+    keys[alias] = keys[target];
+  }
+
+  return keys;
+})();
+
+// Device profiles for the emulate step (portrait sizes; isLandscape swaps width and height)
+const DEVICE_PROFILES = {
+  'iPhone SE': {
+    width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  'iPhone 15': {
+    width: 393, height: 852, deviceScaleFactor: 3, isMobile: true, hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  'iPhone 15 Pro Max': {
+    width: 430, height: 932, deviceScaleFactor: 3, isMobile: true, hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  'Pixel 7': {
+    width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+  },
+  'Galaxy S23': {
+    width: 360, height: 780, deviceScaleFactor: 3, isMobile: true, hasTouch: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; SM-S911B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+  },
+  'iPad': {
+    width: 810, height: 1080, deviceScaleFactor: 2, isMobile: true, hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  'iPad Pro': {
+    width: 1024, height: 1366, deviceScaleFactor: 2, isMobile: true, hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  'Desktop 1280': { width: 1280, height: 800, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  'Desktop 1440': { width: 1440, height: 900, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  'Desktop 1920': { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false }
+};
+
+// Network.emulateNetworkConditions presets (throughput in bytes/s, latency in ms)
+const NETWORK_PROFILES = {
+  'offline': { offline: true, latency: 0, downloadThroughput: 0, uploadThroughput: 0 },
+  'slow-3g': { offline: false, latency: 400, downloadThroughput: 50000, uploadThroughput: 50000 },
+  'fast-3g': { offline: false, latency: 150, downloadThroughput: 200000, uploadThroughput: 96000 },
+  '4g': { offline: false, latency: 40, downloadThroughput: 1500000, uploadThroughput: 750000 }
+};
+
+// Page-side resolver for "host >>> inner" selectors through open shadow roots.
+// Mirrors DeskAgentContent.queryDeepChain for code evaluated with Runtime.evaluate
+const DEEP_QUERY_FUNCTION = `function(selector) {
+  const searchRoots = (root) => {
+    const roots = [root];
+    if (root.shadowRoot) roots.push(...searchRoots(root.shadowRoot));
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) roots.push(...searchRoots(el.shadowRoot));
+    });
+    return roots;
+  };
+  const find = (parts, root) => {
+    const matches = searchRoots(root).flatMap(r => Array.from(r.querySelectorAll(parts[0])));
+    if (parts.length === 1) return matches[0] || null;
+    for (const match of matches) {
+      const found = find(parts.slice(1), match);
+      if (found) return found;
+    }
+    return null;
+  };
+  return find(selector.replace(/^pierce\\//i, '').split(/\\s*>>>\\s*/), document);
+}`;
+
 // Script Executor - Handles JSON automation scripts
 class ScriptExecutor {
   constructor(background) {
     this.background = background;
     this.currentExecution = null;
+    // AbortController of the step attempt that is running, see runStepAttempt
+    this.stepAbort = null;
+    // CDP event domains the current run needs, and the ones enabled per tab
+    this.eventDomains = new Set();
+    this.enabledDomains = new Map();
+    // Pending iframe handshakes: token -> { tabId, resolve, timer }, see resolveFrame
+    this.frameTokenWaiters = new Map();
     this.variables = {};
+    // Names written by storeAs during the run; only these can fill outputSchema fields
+    this.storedVariables = new Set();
+    this.output = {};
+    this.assertions = [];
+    this.settings = {};
+    this.currentFrame = [];
     this.lastFocusedSelector = null;
+    this.lastFocusedFrameId = 0;
+    this.mousePosition = { x: 0, y: 0 };
+    this.eventWaiters = [];
+    this.dialogHandler = null;
+    this.interceptRules = [];
+    this.interceptedTabs = new Set();
+    this.networkActivity = new Map();
+    this.harRecorder = null;
+    this.pendingPageError = null;
+    this.emulatedTabs = new Map();
+  }
+
+  // Called by DeskAgentBackground for every CDP event
+  handleDebuggerEvent(source, method, params) {
+    if (method === 'Page.javascriptDialogOpening' && this.currentExecution?.tabs?.includes(source.tabId)) {
+      this.handleDialogOpening(source.tabId, params);
+    }
+
+    if (method === 'Fetch.requestPaused' && this.interceptedTabs.has(source.tabId)) {
+      this.handleRequestPaused(source.tabId, params);
+    }
+
+    if ((method === 'Runtime.consoleAPICalled' || method === 'Runtime.exceptionThrown') && this.currentExecution?.tabs?.includes(source.tabId)) {
+      this.recordPageLog(source.tabId, method, params);
+    }
+
+    if (method === 'Page.frameNavigated') {
+      this.trackNetworkActivity(source.tabId, method, params);
+    }
+
+    if (method.startsWith('Network.')) {
+      this.trackNetworkActivity(source.tabId, method, params);
+      if (this.harRecorder && this.currentExecution?.tabs?.includes(source.tabId)) {
+        this.recordHarEvent(source.tabId, method, params);
+      }
+    }
+
+    for (const waiter of [...this.eventWaiters]) {
+      if (waiter.tabId === source.tabId && waiter.method === method && waiter.predicate(params)) {
+        this.eventWaiters = this.eventWaiters.filter(w => w !== waiter);
+        clearTimeout(waiter.timer);
+        waiter.resolve(params);
+      }
+    }
+  }
+
+  // Resolve with the params of the next matching CDP event, or null after timeout
+  waitForDebuggerEvent(tabId, method, timeout = 30000, predicate = () => true) {
+    const signal = this.stepAbort?.signal;
+    return new Promise(resolve => {
+      const waiter = { tabId, method, predicate, resolve };
+      const giveUp = () => {
+        clearTimeout(waiter.timer);
+        this.eventWaiters = this.eventWaiters.filter(w => w !== waiter);
+        resolve(null);
+      };
+      waiter.timer = setTimeout(giveUp, timeout);
+      // A timed-out step stops waiting right away
+      signal?.addEventListener('abort', giveUp, { once: true });
+      this.eventWaiters.push(waiter);
+    });
+  }
+
+  // Attach the debugger and enable the CDP events the executor listens to
+  async attachTab(tabIdOrUrl) {
+    const tabId = await this.background.attachDebugger(tabIdOrUrl);
+    await this.enableTabEvents(tabId);
+    return tabId;
+  }
+
+  // Enable only the event domains this run needs (see getEventDomains) and turn off ones a previous run left on
+  async enableTabEvents(tabId) {
+    const enabled = this.enabledDomains.get(tabId) || new Set();
+    try {
+      for (const domain of ['Page', 'Network', 'Runtime']) {
+        const wanted = this.eventDomains.has(domain);
+        if (wanted !== enabled.has(domain)) {
+          await this.background.sendDebuggerCommand(tabId, `${domain}.${wanted ? 'enable' : 'disable'}`);
+          wanted ? enabled.add(domain) : enabled.delete(domain);
+        }
+      }
+    } catch (error) {
+      console.warn(`   ⚠️ Could not enable page events for tab ${tabId}:`, error.message);
+    }
+    this.enabledDomains.set(tabId, enabled);
+
+    await this.applyInterception(tabId);
+  }
+
+  // Drop per-tab debugger state once the debugger is gone from a tab; a reattach starts fresh
+  forgetTab(tabId) {
+    this.enabledDomains.delete(tabId);
+    this.networkActivity.delete(tabId);
+  }
+
+  // Page events deliver javascriptDialogOpening (and main-frame navigations for the network waits) and are
+  // always on, so the default dialog policy keeps dialogs from blocking any run. Network events feed the network
+  // waits and HAR, Runtime events carry console messages and page errors; both send an event per request or
+  // console line, so they are on only when the script needs them
+  getEventDomains(script) {
+    const types = new Set();
+    const collect = (steps) => {
+      for (const step of Array.isArray(steps) ? steps : []) {
+        if (!step || typeof step !== 'object') continue;
+        types.add(step.type);
+        if (step.type === 'emulate' && step.network) types.add('emulateNetwork');
+        collect(step.steps);
+        collect(step.try);
+        collect(step.catch);
+        collect(step.finally);
+        collect(Array.isArray(step.onError) ? step.onError : step.onError?.steps);
+      }
+    };
+    collect(script.steps);
+
+    const domains = new Set(['Page']);
+    if (this.harRecorder || types.has('waitForNetworkIdle') || types.has('waitForResponse') || types.has('emulateNetwork')) {
+      domains.add('Network');
+    }
+    if (script.failOnPageError || script.capturePageLogs) {
+      domains.add('Runtime');
+    }
+    return domains;
   }
 
   async execute(script, parameters = {}) {
@@ -687,6 +1078,15 @@ class ScriptExecutor {
     // Merge script's default parameters with provided parameters (provided takes precedence)
     const defaultParams = script.parameters || {};
     this.variables = { ...defaultParams, ...parameters };
+    this.storedVariables = new Set();
+    this.output = {};
+    this.assertions = [];
+    this.currentFrame = [];
+    this.interceptRules = this.substituteVariables({ rules: script.interceptRules || [] }).rules;
+
+    // Global settings provide the default timeout when the script/step doesn't set one
+    const stored = await chrome.storage.local.get(['settings']);
+    this.settings = stored.settings || {};
 
     if (Object.keys(this.variables).length > 0) {
       console.log('📝 Script variables:', this.variables);
@@ -694,36 +1094,81 @@ class ScriptExecutor {
 
     this.currentExecution = {
       script,
+      runId: `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       currentStep: 0,
-      startTime: Date.now()
+      startTime: Date.now(),
+      artifacts: [],
+      dialogs: [],
+      pageLogs: []
     };
+    this.pendingPageError = null;
+
+    // Opt-in network recording: script.recordHar, or recordHar passed with this run
+    this.harRecorder = this.createHarRecorder(parameters.recordHar ?? script.recordHar);
+    this.eventDomains = this.getEventDomains(script);
+    // Requests left over from an earlier run never finish from this run's point of view
+    this.networkActivity.clear();
+    if (this.eventDomains.size) {
+      console.log(`   📡 Listening to ${[...this.eventDomains].join(', ')} events`);
+    }
 
     try {
       // Attach debugger to target
-      const tabId = await this.background.attachDebugger(script.targetUrl || parameters.targetUrl);
-      this.currentExecution.tabId = tabId;
+      const initialTabId = await this.attachTab(script.targetUrl || parameters.targetUrl);
+      this.currentExecution.tabId = initialTabId;
+      this.currentExecution.tabs = [initialTabId];
+      this.currentExecution.tabHistory = [initialTabId];
 
-      console.log('Starting to execute steps, tabId:', tabId, 'steps count:', script.steps?.length);
+      console.log('Starting to execute steps, tabId:', initialTabId, 'steps count:', script.steps?.length);
 
       // Execute steps
-      await this.executeSteps(script.steps, tabId);
+      await this.executeSteps(script.steps, initialTabId);
+
+      // Tab steps may have switched the active tab
+      const tabId = this.currentExecution.tabId;
+
+      // Soft assertion failures do not stop the run but still fail it at the end
+      const assertionSummary = this.summarizeAssertions();
+      if (assertionSummary.failed > 0) {
+        const error = new Error(`${assertionSummary.failed} of ${assertionSummary.total} assertion(s) failed`);
+        error.assertions = assertionSummary;
+        throw error;
+      }
 
       console.log('✅ Script execution completed successfully');
 
+      // Shape collected values according to the script's outputSchema
+      const output = this.buildOutput(script);
+      if (Object.keys(output).length > 0) {
+        console.log('📤 Script output:', output);
+      }
+
+      await this.finishHarRecording();
+
       // Keep debugger attached unless explicitly configured to detach
       const shouldDetach = parameters.detachDebugger === true;
       if (shouldDetach) {
         console.log('🔌 Detaching debugger as requested...');
-        await this.background.detachDebugger(tabId);
+        for (const usedTabId of this.currentExecution.tabs) {
+          await this.background.detachDebugger(usedTabId);
+        }
       } else {
         console.log('🔗 Keeping debugger attached for further interaction');
       }
 
-      return { success: true, tabId };
+      await this.saveRunRecord(script, 'success', null, assertionSummary);
+
+      return { success: true, tabId, output, assertions: assertionSummary, runId: this.currentExecution.runId };
     } catch (error) {
       console.error('❌ Script execution failed:', error);
+      await this.finishHarRecording();
+      await this.saveRunRecord(script, 'failed', error, error.assertions || this.summarizeAssertions());
       throw error;
     } finally {
+      // Paused requests would hang once nobody answers them, so interception never outlives the run
+      await this.disableInterception();
+      await this.restoreEmulation();
+
       // Clear current execution reference after a delay (to allow reattachment if needed)
       setTimeout(() => {
         if (this.currentExecution?.script === script) {
@@ -764,8 +1209,17 @@ class ScriptExecutor {
     for (let i = 0; i < steps.length; i++) {
       const step = steps[i];
       this.currentExecution.currentStep = i;
+      this.currentExecution.currentStepType = step.type;
+
+      // Tab steps (newTab, switchTab, waitForPopup, closeTab) change the tab later steps run in.
+      // null means closeTab closed the last script tab; only steps that need no tab may follow
+      tabId = this.currentExecution.tabId !== undefined ? this.currentExecution.tabId : tabId;
       console.log(`\n▶️ Step ${i + 1}/${steps.length}: ${step.type}`);
 
+      if (tabId === null && !TABLESS_STEPS.has(step.type)) {
+        throw this.markFailedStep(new Error(`No active tab for step ${i + 1} (${step.type}): the last script tab was closed. Use newTab or switchTab first`), steps, i);
+      }
+
       // Handle conditional branching
       if (step.condition) {
         const conditionMet = await this.evaluateCondition(step.condition, tabId);
@@ -775,9 +1229,18 @@ class ScriptExecutor {
         }
       }
 
-      // Execute step
+      // Execute step (with retry/timeout policy and optional onError handler)
       console.log(`🔧 Executing: ${step.type}`);
-      await this.executeStep(step, tabId, loopContext);
+      try {
+        await this.executeStepWithPolicy(step, tabId, loopContext);
+      } catch (error) {
+        if (!step.onError) {
+          throw this.markFailedStep(error, steps, i);
+        }
+        await this.handleStepError(step, error, i, tabId, loopContext).catch(handlerError => {
+          throw this.markFailedStep(handlerError, steps, i);
+        });
+      }
       console.log(`✅ Completed: ${step.type}`);
 
       // Debug delay AFTER step execution (so you can see what happened)
@@ -804,11 +1267,226 @@ class ScriptExecutor {
     console.log('\n🎉 All steps completed');
   }
 
+  // Run a step honoring its timeout and retry policy: { retry: { count, delayMs, backoff }, timeout }
+  async executeStepWithPolicy(step, tabId, loopContext) {
+    const policy = this.getRetryPolicy(step);
+    const maxAttempts = policy.count + 1;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const assertionCount = this.assertions.length;
+
+      try {
+        if (maxAttempts > 1) {
+          console.log(`   🔁 Attempt ${attempt}/${maxAttempts} for ${step.type}`);
+        }
+
+        const result = await this.runStepAttempt(step, tabId, loopContext);
+        this.throwPendingPageError(step);
+        return result;
+      } catch (error) {
+        // A page error that happened while the step failed anyway is reported through pageLogs only
+        this.pendingPageError = null;
+
+        if (attempt >= maxAttempts || error.noRetry) {
+          if (maxAttempts > 1) {
+            console.error(`   ❌ ${step.type} failed after ${attempt} attempt(s): ${error.message}`);
+          }
+          await this.captureFailureScreenshot(step, tabId, error);
+          throw error;
+        }
+
+        // Drop assertion records from the failed attempt so only the final outcome counts
+        this.assertions.length = assertionCount;
+
+        const delay = this.getRetryDelay(policy, attempt);
+        console.warn(`   ⚠️ Attempt ${attempt}/${maxAttempts} of ${step.type} failed: ${error.message}. Retrying in ${delay}ms...`);
+        await this.wait(delay);
+      }
+    }
+  }
+
+  // Run a step's onError handler: { onError: [steps] } or { onError: { steps, retry, continue } }
+  async handleStepError(step, error, stepIndex, tabId, loopContext) {
+    const handler = Array.isArray(step.onError) ? { steps: step.onError } : step.onError;
+
+    this.setErrorVariable(error, stepIndex, step);
+    console.warn(`   🛟 ${step.type} failed at step ${stepIndex + 1}, running onError handler: ${error.message}`);
+
+    if (handler.steps && handler.steps.length) {
+      await this.executeSteps(handler.steps, tabId, loopContext);
+    }
+
+    if (handler.retry) {
+      console.log(`   🔁 Retrying ${step.type} after onError handler`);
+      await this.executeStepWithPolicy(step, tabId, loopContext);
+      return;
+    }
+
+    if (handler.continue === false) {
+      throw error;
+    }
+
+    console.log(`   ⏩ Continuing after handled error`);
+  }
+
+  // Format: { type: "tryCatch", steps: [...], catch: [...], finally: [...], rethrow?: false }
+  async executeTryCatch(step, tabId, loopContext) {
+    const trySteps = step.steps || step.try || [];
+
+    try {
+      await this.executeSteps(trySteps, tabId, loopContext);
+    } catch (error) {
+      const stepIndex = error?.stepIndices?.get(trySteps) ?? 0;
+      this.setErrorVariable(error, stepIndex, trySteps[stepIndex]);
+      console.warn(`   🛟 tryCatch caught error at step ${stepIndex + 1}: ${error.message}`);
+
+      if (step.catch && step.catch.length) {
+        await this.executeSteps(step.catch, tabId, loopContext);
+      }
+
+      if (step.rethrow) {
+        throw error;
+      }
+    } finally {
+      if (step.finally && step.finally.length) {
+        await this.executeSteps(step.finally, tabId, loopContext);
+      }
+    }
+  }
+
+  // Record the index at which an error left each step list. Nested lists overwrite currentStep,
+  // so tryCatch looks up its own list here
+  markFailedStep(error, steps, index) {
+    if (error instanceof Error) {
+      error.stepIndices = error.stepIndices || new Map();
+      if (!error.stepIndices.has(steps)) {
+        error.stepIndices.set(steps, index);
+      }
+    }
+    return error;
+  }
+
+  // Expose the failure to later steps as {{error.message}}, {{error.stepIndex}}, {{error.stepType}}
+  setErrorVariable(error, stepIndex, step) {
+    this.variables.error = {
+      message: error.message,
+      name: error.name,
+      stepIndex,
+      stepType: step?.type || null,
+      timestamp: new Date().toISOString()
+    };
+
+    // A handled hard assertion should not fail the run at the end
+    if (error.assertions) {
+      const record = [...this.assertions].reverse().find(a => !a.passed && !a.soft);
+      if (record) record.handled = true;
+    }
+  }
+
+  // Step policy overrides the script-level default (script.retry); "retry": 3 is shorthand for { count: 3 }
+  getRetryPolicy(step) {
+    const normalize = (value) => (typeof value === 'number' ? { count: value } : (value || {}));
+    const policy = {
+      count: 0,
+      delayMs: 500,
+      backoff: 'fixed',
+      ...normalize(this.currentExecution?.script?.retry),
+      ...normalize(step.retry)
+    };
+    policy.count = Math.max(0, parseInt(policy.count, 10) || 0);
+    return policy;
+  }
+
+  getRetryDelay(policy, attempt) {
+    const base = Number(policy.delayMs) || 0;
+    if (policy.backoff === 'exponential') {
+      return base * Math.pow(2, attempt - 1);
+    }
+    if (policy.backoff === 'linear') {
+      return base * attempt;
+    }
+    if (typeof policy.backoff === 'number') {
+      return base * Math.pow(policy.backoff, attempt - 1);
+    }
+    return base;
+  }
+
+  // Timeout for waits: step.timeout > script.defaultTimeout > settings.defaultTimeout > 30000
+  getDefaultTimeout(step = {}) {
+    return step.timeout ||
+      this.currentExecution?.script?.defaultTimeout ||
+      this.settings?.defaultTimeout ||
+      30000;
+  }
+
+  // Run one attempt of a step under its own AbortController. Debugger commands, content script
+  // messages and waits check it, so a timed-out step stops at its next call instead of running on
+  async runStepAttempt(step, tabId, loopContext) {
+    const parent = this.stepAbort;
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(parent.signal.reason);
+    parent?.signal.addEventListener('abort', forwardAbort, { once: true });
+    this.stepAbort = controller;
+
+    try {
+      const execution = this.executeStep(step, tabId, loopContext);
+      if (!step.timeout || step.type === 'childSteps') {
+        return await execution;
+      }
+      return await this.withTimeout(execution, step.timeout, `Step ${step.type} timed out after ${step.timeout}ms`, controller, step);
+    } finally {
+      parent?.signal.removeEventListener('abort', forwardAbort);
+      this.stepAbort = parent;
+    }
+  }
+
+  // On timeout, abort the step and wait for it to stop before rejecting, so a retry never overlaps it.
+  // Steps that send input may already have acted, and steps that do not stop in time may still act,
+  // so those timeouts are not retried
+  async withTimeout(promise, ms, message, controller, step = {}) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+
+    try {
+      return await Promise.race([promise, timeout]);
+    } catch (error) {
+      if (!controller || controller.signal.aborted || error.message !== message) {
+        throw error;
+      }
+
+      controller.abort(error);
+      const settled = await Promise.race([
+        promise.then(() => true, () => true),
+        new Promise(resolve => setTimeout(() => resolve(false), STEP_ABORT_GRACE_MS))
+      ]);
+      if (!settled) {
+        console.warn(`   ⚠️ ${step.type} did not stop within ${STEP_ABORT_GRACE_MS}ms after timing out`);
+      }
+      if (!settled || NON_IDEMPOTENT_STEPS.has(step.type)) {
+        error.noRetry = true;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Throws the abort reason once the running step has timed out
+  throwIfStepAborted() {
+    const signal = this.stepAbort?.signal;
+    if (signal?.aborted) {
+      throw signal.reason instanceof Error ? signal.reason : new Error('Step aborted');
+    }
+  }
+
   async executeStep(step, tabId, loopContext) {
     console.log(`Executing step: ${step.type}`, step);
 
     // Substitute variables in step before execution
     const processedStep = this.substituteVariables(step);
+    let result;
 
     switch (processedStep.type) {
       case 'setViewport':
@@ -827,12 +1505,29 @@ class ScriptExecutor {
         await this.doubleClick(processedStep, tabId);
         break;
 
+      case 'hover':
+        await this.hover(processedStep, tabId);
+        break;
+
+      case 'pointerMove':
+        await this.pointerMove(processedStep, tabId);
+        break;
+
+      case 'dragAndDrop':
+        await this.dragAndDrop(processedStep, tabId);
+        break;
+
+      case 'uploadFile':
+        result = await this.uploadFile(processedStep, tabId);
+        break;
+
       case 'keyDown':
       case 'keyUp':
         await this.keyAction(processedStep, tabId);
         break;
 
       case 'change':
+      case 'select':
         await this.changeInput(processedStep, tabId);
         break;
 
@@ -841,19 +1536,27 @@ class ScriptExecutor {
         break;
 
       case 'waitForElement':
-        await this.waitForElement(processedStep, tabId);
+        result = await this.waitForElement(processedStep, tabId);
         break;
 
       case 'waitForExpression':
         await this.waitForExpression(processedStep, tabId);
         break;
 
+      case 'waitForNetworkIdle':
+        result = await this.waitForNetworkIdle(processedStep, tabId);
+        break;
+
+      case 'waitForResponse':
+        result = await this.waitForResponse(processedStep, tabId);
+        break;
+
       case 'waitAfter':
         await this.wait(processedStep.duration || 1000);
         break;
 
       case 'FIND_ELEMENT':
-        await this.findElement(processedStep, tabId);
+        result = await this.findElement(processedStep, tabId);
         break;
 
       case 'GOTO_ELEMENT':
@@ -868,74 +1571,847 @@ class ScriptExecutor {
         await this.executeSteps(processedStep.steps, tabId, loopContext);
         break;
 
-      default:
-        console.warn(`Unknown step type: ${processedStep.type}`);
-    }
-  }
+      case 'tryCatch':
+        // Use the raw step so {{error.*}} in catch steps is substituted after the error happens
+        await this.executeTryCatch(step, tabId, loopContext);
+        break;
 
-  // Substitute variables in step properties
-  substituteVariables(step) {
-    if (!step || typeof step !== 'object') {
-      return step;
-    }
+      case 'setOutput':
+        result = this.setOutput(processedStep);
+        break;
 
-    const processed = Array.isArray(step) ? [] : {};
+      case 'screenshot':
+        result = await this.screenshot(processedStep, tabId);
+        break;
 
-    for (const [key, value] of Object.entries(step)) {
-      if (typeof value === 'string') {
-        // Replace variables in format {{variableName}}
-        processed[key] = value.replace(/\{\{(\w+)\}\}/g, (match, varName) => {
-          if (varName in this.variables) {
-            console.log(`   🔄 Substituting {{${varName}}} with "${this.variables[varName]}"`);
-            return this.variables[varName];
-          }
-          console.warn(`   ⚠️ Variable {{${varName}}} not found in parameters`);
-          return match; // Keep original if variable not found
-        });
-      } else if (typeof value === 'object' && value !== null) {
-        // Recursively process nested objects and arrays
-        processed[key] = this.substituteVariables(value);
-      } else {
-        processed[key] = value;
-      }
-    }
+      case 'savePdf':
+        result = await this.savePdf(processedStep, tabId);
+        break;
 
-    return processed;
-  }
+      case 'newTab':
+        result = await this.newTab(processedStep);
+        break;
 
-  async setViewport(step, tabId) {
-    await this.background.sendDebuggerCommand(tabId, 'Emulation.setDeviceMetricsOverride', {
-      width: step.width,
-      height: step.height,
-      deviceScaleFactor: step.deviceScaleFactor || 1,
-      mobile: step.isMobile || false
-    });
-  }
+      case 'switchTab':
+        result = await this.switchTab(processedStep, tabId);
+        break;
 
-  async navigate(step, tabId) {
-    console.log(`🌐 Navigating to: ${step.url}`);
+      case 'waitForPopup':
+        result = await this.waitForPopup(processedStep, tabId);
+        break;
 
-    // Use chrome.tabs.update for navigation (more reliable than debugger protocol)
-    await chrome.tabs.update(tabId, { url: step.url });
+      case 'closeTab':
+        result = await this.closeTab(processedStep, tabId);
+        break;
 
-    // Wait for navigation to complete using tab status
-    console.log(`⏳ Waiting for page to load...`);
-    await this.background.waitForTabLoad(tabId);
-    console.log(`✅ Navigation complete`);
-  }
+      case 'switchFrame':
+        result = await this.switchFrame(processedStep, tabId);
+        break;
 
-  async waitForNavigation(tabId, timeout = 30000) {
-    // This method is kept for compatibility but won't be used
-    // We use chrome.tabs status checking instead
-    return this.background.waitForTabLoad(tabId, timeout);
-  }
+      case 'handleDialog':
+        result = await this.handleDialog(processedStep, tabId);
+        break;
 
-  async click(step, tabId) {
-    const element = await this.getElement(step.selectors, tabId);
+      case 'intercept':
+        result = await this.intercept(processedStep, tabId);
+        break;
 
-    if (!element) {
-      throw new Error('Element not found for click action');
-    }
+      case 'emulate':
+        result = await this.emulate(processedStep, tabId);
+        break;
+
+      case 'tap':
+        result = await this.tap(processedStep, tabId);
+        break;
+
+      case 'press':
+        result = await this.press(processedStep, tabId);
+        break;
+
+      case 'swipe':
+        result = await this.swipe(processedStep, tabId);
+        break;
+
+      case 'pinch':
+        result = await this.pinch(processedStep, tabId);
+        break;
+
+      case 'assertText':
+      case 'assertVisible':
+      case 'assertUrl':
+      case 'assertCount':
+      case 'assertValue':
+        result = await this.assert(processedStep, tabId);
+        break;
+
+      case 'extractText':
+      case 'extractAttribute':
+      case 'extractValue':
+        result = await this.extractElementData(processedStep, tabId);
+        break;
+
+      case 'extractList':
+        result = await this.extractList(processedStep, tabId);
+        break;
+
+      case 'extractTable':
+        result = await this.extractTable(processedStep, tabId);
+        break;
+
+      default:
+        console.warn(`Unknown step type: ${processedStep.type}`);
+    }
+
+    this.recordStepResult(processedStep, result);
+    return result;
+  }
+
+  // Store a step's result in variables (storeAs) and/or script output (outputPath)
+  recordStepResult(step, result) {
+    if (result === undefined) {
+      return;
+    }
+
+    if (step.storeAs) {
+      this.variables[step.storeAs] = result;
+      this.storedVariables.add(step.storeAs);
+      console.log(`   💾 Stored result in variable: ${step.storeAs}`);
+    }
+
+    if (step.outputPath) {
+      this.background.setNestedValue(this.output, step.outputPath, result);
+      console.log(`   📤 Wrote result to output: ${step.outputPath}`);
+    }
+  }
+
+  // Write a literal value or a stored variable to the script output
+  // Format: { type: "setOutput", path: "$.chat.username", value: "..." | variable: "name" }
+  setOutput(step) {
+    if (!step.path) {
+      throw new Error('setOutput requires a "path" property');
+    }
+
+    const value = step.variable !== undefined ? this.variables[step.variable] : step.value;
+    this.background.setNestedValue(this.output, step.path, value);
+    console.log(`   📤 Output ${step.path} =`, value);
+
+    return value;
+  }
+
+  // Build the final script output, filling outputSchema fields from variables of the same name.
+  // Only variables stored during the run count, so an input parameter is never echoed back as output
+  buildOutput(script) {
+    const output = structuredClone(this.output);
+    const fields = script.outputSchema?.fields || [];
+
+    for (const field of fields) {
+      if (!field.path) continue;
+
+      let value = this.background.getNestedValue(output, field.path);
+      if (value === undefined && this.storedVariables.has(field.name)) {
+        value = this.variables[field.name];
+      }
+
+      if (value === undefined) {
+        console.warn(`   ⚠️ Output field "${field.name}" was not produced (${field.path})`);
+        continue;
+      }
+
+      this.background.setNestedValue(output, field.path, this.coerceOutputValue(value, field.type));
+    }
+
+    return output;
+  }
+
+  coerceOutputValue(value, type) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    switch (type) {
+      case 'string':
+        return typeof value === 'object' ? value : String(value);
+      case 'number': {
+        if (typeof value === 'number') return value;
+        const numeric = String(value).replace(/[^\d.-]/g, '');
+        const parsed = Number(numeric);
+        return numeric && Number.isFinite(parsed) ? parsed : value;
+      }
+      case 'boolean':
+        if (typeof value === 'string') return value === 'true';
+        return Boolean(value);
+      case 'array':
+        return Array.isArray(value) ? value : [value];
+      default:
+        return value;
+    }
+  }
+
+  // Substitute variables in step properties
+  substituteVariables(step) {
+    if (!step || typeof step !== 'object') {
+      return step;
+    }
+
+    const processed = Array.isArray(step) ? [] : {};
+
+    for (const [key, value] of Object.entries(step)) {
+      if (typeof value === 'string') {
+        // Replace variables in format {{variableName}}
+        // Dotted names read nested values, e.g. {{error.message}}
+        processed[key] = value.replace(/\{\{([\w.]+)\}\}/g, (match, varName) => {
+          const resolved = varName in this.variables
+            ? this.variables[varName]
+            : this.background.getNestedValue(this.variables, varName);
+          if (resolved !== undefined) {
+            console.log(`   🔄 Substituting {{${varName}}} with "${resolved}"`);
+            return resolved;
+          }
+          console.warn(`   ⚠️ Variable {{${varName}}} not found in parameters`);
+          return match; // Keep original if variable not found
+        });
+      } else if (typeof value === 'object' && value !== null) {
+        // Recursively process nested objects and arrays
+        processed[key] = this.substituteVariables(value);
+      } else {
+        processed[key] = value;
+      }
+    }
+
+    return processed;
+  }
+
+  async setViewport(step, tabId) {
+    const metrics = {
+      width: step.width,
+      height: step.height,
+      deviceScaleFactor: step.deviceScaleFactor || 1,
+      mobile: step.isMobile || false
+    };
+    // Orientation only matters for device-like viewports; desktop ones keep the browser's own
+    if (step.isLandscape !== undefined || step.hasTouch !== undefined) {
+      metrics.screenOrientation = step.isLandscape
+        ? { type: 'landscapePrimary', angle: 90 }
+        : { type: 'portraitPrimary', angle: 0 };
+    }
+    await this.background.sendDebuggerCommand(tabId, 'Emulation.setDeviceMetricsOverride', metrics);
+
+    if (step.hasTouch !== undefined) {
+      await this.background.sendDebuggerCommand(tabId, 'Emulation.setTouchEmulationEnabled', {
+        enabled: !!step.hasTouch,
+        maxTouchPoints: step.hasTouch ? 5 : undefined
+      });
+    }
+
+    // Remembered so clicks become taps on touch viewports, and undone with emulate overrides at the end of the run
+    const state = this.emulatedTabs.get(tabId) || { applied: new Set(), mobile: false, touch: false };
+    state.applied.add('metrics');
+    if (step.hasTouch !== undefined) {
+      state.applied.add('touch');
+    }
+    state.mobile = !!step.isMobile;
+    state.touch = step.hasTouch !== undefined ? !!step.hasTouch : state.touch;
+    this.emulatedTabs.set(tabId, state);
+  }
+
+  // Format: { type: "emulate", device?: "iPhone 15", isLandscape?, width?, height?, deviceScaleFactor?, isMobile?, hasTouch?,
+  //           userAgent?, geolocation?: { latitude, longitude, accuracy? }, timezone?: "Europe/Berlin", locale?: "de-DE",
+  //           colorScheme?: "dark" | "light", cpuThrottling?: 4, network?: "slow-3g" | { latency, downloadThroughput, ... },
+  //           reset?: true }
+  // Everything applied here is undone when the run ends (or by { type: "emulate", reset: true })
+  async emulate(step, tabId) {
+    if (step.reset) {
+      await this.restoreEmulation(tabId);
+      return { reset: true };
+    }
+
+    const state = this.emulatedTabs.get(tabId) || { applied: new Set(), mobile: false, touch: false };
+    this.emulatedTabs.set(tabId, state);
+    const send = (method, params) => this.background.sendDebuggerCommand(tabId, method, params);
+
+    let profile = {};
+    if (step.device) {
+      const name = Object.keys(DEVICE_PROFILES).find(key => key.toLowerCase() === String(step.device).toLowerCase());
+      if (!name) {
+        throw new Error(`Unknown device profile "${step.device}". Available: ${Object.keys(DEVICE_PROFILES).join(', ')}`);
+      }
+      profile = DEVICE_PROFILES[name];
+      console.log(`   📱 Emulating ${name}${step.isLandscape ? ' (landscape)' : ''}`);
+    }
+    const device = { ...profile, ...step };
+
+    if (device.width && device.height) {
+      const [width, height] = step.device && step.isLandscape ? [device.height, device.width] : [device.width, device.height];
+      await this.setViewport({ ...device, width, height }, tabId);
+      state.applied.add('metrics');
+      state.mobile = !!device.isMobile;
+    }
+
+    if (device.hasTouch !== undefined) {
+      if (!(device.width && device.height)) {
+        await send('Emulation.setTouchEmulationEnabled', { enabled: !!device.hasTouch, maxTouchPoints: device.hasTouch ? 5 : undefined });
+      }
+      state.applied.add('touch');
+      state.touch = !!device.hasTouch;
+    }
+
+    if (device.userAgent || step.locale) {
+      await send('Emulation.setUserAgentOverride', {
+        userAgent: device.userAgent || navigator.userAgent,
+        acceptLanguage: step.locale
+      });
+      state.applied.add('userAgent');
+    }
+
+    if (step.geolocation) {
+      await send('Emulation.setGeolocationOverride', {
+        latitude: Number(step.geolocation.latitude),
+        longitude: Number(step.geolocation.longitude),
+        accuracy: Number(step.geolocation.accuracy ?? 100)
+      });
+      state.applied.add('geolocation');
+    }
+
+    if (step.timezone) {
+      await send('Emulation.setTimezoneOverride', { timezoneId: step.timezone });
+      state.applied.add('timezone');
+    }
+
+    if (step.locale) {
+      await send('Emulation.setLocaleOverride', { locale: step.locale });
+      state.applied.add('locale');
+    }
+
+    if (step.colorScheme) {
+      await send('Emulation.setEmulatedMedia', { features: [{ name: 'prefers-color-scheme', value: step.colorScheme }] });
+      state.applied.add('media');
+    }
+
+    if (step.cpuThrottling) {
+      await send('Emulation.setCPUThrottlingRate', { rate: Number(step.cpuThrottling) });
+      state.applied.add('cpu');
+    }
+
+    if (step.network) {
+      const conditions = typeof step.network === 'string' ? NETWORK_PROFILES[step.network] : { offline: false, ...step.network };
+      if (!conditions) {
+        throw new Error(`Unknown network profile "${step.network}". Available: ${Object.keys(NETWORK_PROFILES).join(', ')}`);
+      }
+      await send('Network.emulateNetworkConditions', conditions);
+      state.applied.add('network');
+    }
+
+    console.log(`   📱 Emulation active: ${Array.from(state.applied).join(', ')}`);
+    return { applied: Array.from(state.applied), mobile: state.mobile, touch: state.touch };
+  }
+
+  // Undo emulate overrides for one tab, or every emulated tab when tabId is omitted
+  async restoreEmulation(tabId) {
+    const tabIds = tabId === undefined ? Array.from(this.emulatedTabs.keys()) : [tabId];
+    const resets = {
+      metrics: ['Emulation.clearDeviceMetricsOverride', {}],
+      touch: ['Emulation.setTouchEmulationEnabled', { enabled: false }],
+      userAgent: ['Emulation.setUserAgentOverride', { userAgent: '' }],
+      geolocation: ['Emulation.clearGeolocationOverride', {}],
+      timezone: ['Emulation.setTimezoneOverride', { timezoneId: '' }],
+      locale: ['Emulation.setLocaleOverride', {}],
+      media: ['Emulation.setEmulatedMedia', { features: [] }],
+      cpu: ['Emulation.setCPUThrottlingRate', { rate: 1 }],
+      network: ['Network.emulateNetworkConditions', { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 }]
+    };
+
+    for (const id of tabIds) {
+      const state = this.emulatedTabs.get(id);
+      if (!state) continue;
+      this.emulatedTabs.delete(id);
+
+      if (!state.applied.size) continue;
+
+      for (const feature of state.applied) {
+        const [method, params] = resets[feature];
+        try {
+          await this.background.sendDebuggerCommand(id, method, params);
+        } catch (error) {
+          console.warn(`   ⚠️ Could not restore ${feature} emulation on tab ${id}:`, error.message);
+        }
+      }
+      console.log(`   📱 Restored emulation on tab ${id}`);
+    }
+  }
+
+  async navigate(step, tabId) {
+    console.log(`🌐 Navigating to: ${step.url}`);
+
+    // Use chrome.tabs.update for navigation (more reliable than debugger protocol)
+    await chrome.tabs.update(tabId, { url: step.url });
+
+    // Wait for navigation to complete using tab status
+    console.log(`⏳ Waiting for page to load...`);
+    await this.background.waitForTabLoad(tabId, this.getDefaultTimeout(step));
+    console.log(`✅ Navigation complete`);
+  }
+
+  // Attach the debugger to a tab and make it the target of the following steps
+  async activateTab(tabId, options = {}) {
+    await this.attachTab(tabId);
+
+    const execution = this.currentExecution;
+    if (!execution.tabs.includes(tabId)) {
+      execution.tabs.push(tabId);
+    }
+    execution.tabHistory = execution.tabHistory.filter(id => id !== tabId);
+    execution.tabHistory.push(tabId);
+    execution.tabId = tabId;
+    this.currentFrame = [];
+
+    if (options.bringToFront) {
+      const tab = await chrome.tabs.update(tabId, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+    }
+
+    const tab = await chrome.tabs.get(tabId);
+    console.log(`   🗂️ Active script tab is now ${tabId}: "${tab.title}" (${tab.url})`);
+    return { tabId, url: tab.url, title: tab.title };
+  }
+
+  // Format: { type: "newTab", url: "https://...", active?: true, switchTo?: true }
+  async newTab(step) {
+    const tab = await chrome.tabs.create({ url: step.url || 'about:blank', active: step.active !== false });
+    console.log(`   ➕ Opened tab ${tab.id}: ${step.url || 'about:blank'}`);
+    await this.background.waitForTabLoad(tab.id, this.getDefaultTimeout(step));
+
+    if (step.switchTo === false) {
+      await this.attachTab(tab.id);
+      this.currentExecution.tabs.push(tab.id);
+      return { tabId: tab.id, url: step.url };
+    }
+
+    return this.activateTab(tab.id);
+  }
+
+  // Switch by urlPattern / titlePattern (substring or /regex/) or tab strip index, waiting for it to appear
+  // Format: { type: "switchTab", urlPattern?: "checkout", titlePattern?: "/^Pay/", index?: 0, anyTab?: false }
+  async switchTab(step, tabId) {
+    const timeout = this.getDefaultTimeout(step);
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeout) {
+      const tab = await this.findTab(step, tabId);
+      if (tab) {
+        return this.activateTab(tab.id, { bringToFront: step.bringToFront });
+      }
+      await this.wait(250);
+    }
+
+    throw new Error(`No tab matched switchTab criteria within ${timeout}ms`);
+  }
+
+  async findTab(step, currentTabId) {
+    if (step.index !== undefined) {
+      // After the last script tab was closed, index counts in the last focused window
+      const windowTabs = currentTabId === null
+        ? await chrome.tabs.query({ lastFocusedWindow: true })
+        : await chrome.tabs.query({ windowId: (await chrome.tabs.get(currentTabId)).windowId });
+      return windowTabs.find(t => t.index === Number(step.index)) || null;
+    }
+
+    const urlMatcher = this.buildPatternMatcher(step.urlPattern || step.url);
+    const titleMatcher = this.buildPatternMatcher(step.titlePattern || step.title);
+    if (!urlMatcher && !titleMatcher) {
+      throw new Error('switchTab requires "urlPattern", "titlePattern" or "index"');
+    }
+
+    // Patterns match the run's own tabs and the tabs they opened (popups, Ctrl-clicks); anyTab searches every window
+    const runTabs = this.currentExecution.tabs;
+    const tabs = (await chrome.tabs.query({}))
+      .filter(t => step.anyTab || runTabs.includes(t.id) || runTabs.includes(t.openerTabId));
+    return tabs.find(t => (!urlMatcher || urlMatcher(t.url || '')) && (!titleMatcher || titleMatcher(t.title || ''))) || null;
+  }
+
+  // "/regex/flags" becomes a RegExp test, anything else a substring match.
+  // With options.glob (intercept rules), a pattern with "*" matches the whole value as a glob
+  buildPatternMatcher(pattern, options = {}) {
+    if (!pattern) return null;
+    const regex = String(pattern).match(/^\/(.+)\/([dgimsuy]*)$/);
+    if (regex) {
+      const compiled = new RegExp(regex[1], regex[2]);
+      return (value) => compiled.test(value);
+    }
+    if (options.glob && String(pattern).includes('*')) {
+      const glob = new RegExp('^' + String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+      return (value) => glob.test(value);
+    }
+    return (value) => value.includes(pattern);
+  }
+
+  // Wait for a tab/popup window opened by the current tab, optionally clicking selectors to trigger it
+  // Format: { type: "waitForPopup", selectors?: [...], urlPattern?: "oauth", switchTo?: true, timeout?: 10000 }
+  async waitForPopup(step, tabId) {
+    const timeout = this.getDefaultTimeout(step);
+    const urlMatcher = this.buildPatternMatcher(step.urlPattern);
+    let onCreated;
+
+    // Listen before triggering so a fast popup is not missed
+    const created = new Promise(resolve => {
+      onCreated = (tab) => {
+        if (step.anyOpener || tab.openerTabId === tabId) {
+          resolve(tab);
+        }
+      };
+      chrome.tabs.onCreated.addListener(onCreated);
+    });
+
+    try {
+      if (step.selectors && step.selectors.length) {
+        console.log(`   🪟 Clicking to open popup...`);
+        await this.click(step, tabId);
+      }
+
+      const popup = await this.withTimeout(created, timeout, `No popup opened within ${timeout}ms`);
+      console.log(`   🪟 Popup opened in tab ${popup.id}`);
+      await this.background.waitForTabLoad(popup.id, timeout);
+
+      if (urlMatcher) {
+        const loaded = await chrome.tabs.get(popup.id);
+        if (!urlMatcher(loaded.url || '')) {
+          throw new Error(`Popup URL ${loaded.url} does not match ${step.urlPattern}`);
+        }
+      }
+
+      if (step.switchTo === false) {
+        await this.attachTab(popup.id);
+        this.currentExecution.tabs.push(popup.id);
+        return { tabId: popup.id };
+      }
+
+      return this.activateTab(popup.id);
+    } finally {
+      chrome.tabs.onCreated.removeListener(onCreated);
+    }
+  }
+
+  // Close the current tab (default) or one matching urlPattern/titlePattern/index, then return to the previous tab
+  async closeTab(step, tabId) {
+    const target = step.urlPattern || step.titlePattern || step.url || step.title || step.index !== undefined
+      ? await this.findTab(step, tabId)
+      : { id: tabId };
+
+    if (!target) {
+      throw new Error('No tab matched closeTab criteria');
+    }
+
+    const execution = this.currentExecution;
+    await this.background.detachDebugger(target.id);
+    await chrome.tabs.remove(target.id);
+    execution.tabs = execution.tabs.filter(id => id !== target.id);
+    execution.tabHistory = execution.tabHistory.filter(id => id !== target.id);
+    console.log(`   ✖️ Closed tab ${target.id}`);
+
+    if (execution.tabId === target.id) {
+      const previous = execution.tabHistory[execution.tabHistory.length - 1];
+      if (!previous) {
+        execution.tabId = null;
+        console.warn(`   ⚠️ Closed the last script tab; following steps need newTab or switchTab`);
+        return { closed: target.id, tabId: null };
+      }
+      await this.activateTab(previous, { bringToFront: step.bringToFront });
+    }
+
+    return { closed: target.id, tabId: execution.tabId };
+  }
+
+  // Answer a JS dialog right away: an armed handleDialog step decides, otherwise script.dialogPolicy.
+  // Leaving it open would block every later CDP command and content-script message on the tab.
+  async handleDialogOpening(tabId, params) {
+    const execution = this.currentExecution;
+    const handler = this.dialogHandler && (!this.dialogHandler.dialogType || this.dialogHandler.dialogType === params.type)
+      ? this.dialogHandler
+      : null;
+    const response = handler || this.getDialogResponse(params.type);
+
+    const dialog = {
+      type: params.type,
+      message: params.message,
+      defaultPrompt: params.defaultPrompt || '',
+      url: params.url,
+      tabId,
+      stepIndex: execution.currentStep,
+      action: response.action,
+      promptText: params.type === 'prompt' && response.action === 'accept' ? response.promptText ?? params.defaultPrompt ?? '' : undefined,
+      handledBy: handler ? 'step' : 'policy',
+      consumed: !!handler,
+      timestamp: new Date().toISOString()
+    };
+    execution.dialogs.push(dialog);
+    console.log(`   💬 ${dialog.type} dialog: "${dialog.message}" -> ${dialog.action} (${dialog.handledBy})`);
+
+    try {
+      await this.background.sendEventCommand(tabId, 'Page.handleJavaScriptDialog', {
+        accept: dialog.action === 'accept',
+        promptText: dialog.promptText
+      });
+    } catch (error) {
+      console.warn(`   ⚠️ Could not ${dialog.action} ${dialog.type} dialog:`, error.message);
+    }
+
+    if (handler) {
+      this.dialogHandler = null;
+      handler.resolve(dialog);
+    }
+  }
+
+  // script.dialogPolicy: "accept" | "dismiss" | { action, promptText, alert?, confirm?, prompt?, beforeunload? }
+  // where the per-type keys take the same string/object form. Dialogs are accepted by default.
+  getDialogResponse(type) {
+    const policy = this.currentExecution?.script?.dialogPolicy ?? 'accept';
+    const base = typeof policy === 'string' ? { action: policy } : policy;
+    const override = base[type];
+    const response = override === undefined
+      ? base
+      : typeof override === 'string' ? { action: override } : { ...base, ...override };
+
+    return {
+      action: response.action === 'dismiss' ? 'dismiss' : 'accept',
+      promptText: this.substituteVariables({ promptText: response.promptText }).promptText
+    };
+  }
+
+  // Format: { type: "handleDialog", action?: "accept" | "dismiss", promptText?, dialogType?,
+  //           selectors? (clicked to open the dialog), expected?, operator?, timeout?, storeAs? }
+  async handleDialog(step, tabId) {
+    const timeout = this.getDefaultTimeout(step);
+    const dialogType = step.dialogType || null;
+    let dialog = null;
+
+    // A dialog the policy already answered during an earlier step can still be asserted
+    if (!step.selectors || !step.selectors.length) {
+      dialog = this.currentExecution.dialogs.find(d => !d.consumed && (!dialogType || d.type === dialogType)) || null;
+      if (dialog) {
+        dialog.consumed = true;
+        console.log(`   💬 Using ${dialog.type} dialog already answered by dialogPolicy (${dialog.action})`);
+      }
+    }
+
+    if (!dialog) {
+      // Arm the handler before triggering so the dialog is answered with this step's action
+      const opened = new Promise(resolve => {
+        this.dialogHandler = {
+          action: step.action === 'dismiss' ? 'dismiss' : 'accept',
+          promptText: step.promptText,
+          dialogType,
+          resolve
+        };
+      });
+
+      try {
+        if (step.selectors && step.selectors.length) {
+          console.log(`   💬 Clicking to open dialog...`);
+          await this.click(step, tabId);
+        }
+        dialog = await this.withTimeout(opened, timeout, `No ${dialogType || 'JavaScript'} dialog opened within ${timeout}ms`);
+      } finally {
+        this.dialogHandler = null;
+      }
+    }
+
+    const expected = step.expected ?? step.text;
+    if (expected !== undefined) {
+      await this.assert({ ...step, dialogMessage: dialog.message }, tabId);
+    }
+
+    return { type: dialog.type, message: dialog.message, defaultPrompt: dialog.defaultPrompt, action: dialog.action };
+  }
+
+  // Format: { type: "intercept", rules: [...], replace?: false } | { type: "intercept", disable: true }
+  // A rule: { urlPattern, method?, resourceType?, action: "block" | "headers" | "fulfill", headers?, responseHeaders?,
+  //           status?, body?, file? (stored file name), contentType?, errorReason? }
+  async intercept(step, tabId) {
+    if (step.disable) {
+      this.interceptRules = [];
+    } else {
+      const rules = step.rules || [step];
+      this.interceptRules = step.replace ? rules : [...this.interceptRules, ...rules];
+    }
+
+    for (const id of this.currentExecution.tabs) {
+      await this.applyInterception(id);
+    }
+
+    console.log(`   🛡️ ${this.interceptRules.length} intercept rule(s) active`);
+    return { rules: this.interceptRules.length };
+  }
+
+  // Enable the Fetch domain on a tab while rules exist (response stage only for responseHeaders rules)
+  async applyInterception(tabId) {
+    if (!this.interceptRules.length) {
+      if (this.interceptedTabs.has(tabId)) {
+        this.interceptedTabs.delete(tabId);
+        await this.background.sendDebuggerCommand(tabId, 'Fetch.disable');
+      }
+      return;
+    }
+
+    await this.background.sendDebuggerCommand(tabId, 'Fetch.enable', { patterns: this.buildFetchPatterns(this.interceptRules) });
+    this.interceptedTabs.add(tabId);
+  }
+
+  async disableInterception() {
+    for (const tabId of this.interceptedTabs) {
+      try {
+        await this.background.sendDebuggerCommand(tabId, 'Fetch.disable');
+      } catch (error) {
+        console.warn(`   ⚠️ Could not disable interception for tab ${tabId}:`, error.message);
+      }
+    }
+    this.interceptedTabs.clear();
+    this.interceptRules = [];
+  }
+
+  // Every paused request must be continued, failed or fulfilled, otherwise the page waits forever
+  async handleRequestPaused(tabId, params) {
+    const { requestId, request } = params;
+    const atResponse = params.responseStatusCode !== undefined || params.responseErrorReason !== undefined;
+    // The last matching block/fulfill rule answers the request, so an intercept step overrides script-level
+    // rules; header rewrites from every matching headers rule are merged in order
+    const matching = this.interceptRules.filter(r => this.matchesInterceptRule(r, request, params.resourceType));
+    const rule = matching.filter(r => r.action === 'block' || r.action === 'fulfill').pop();
+    const rewrites = matching.filter(r => r.action !== 'block' && r.action !== 'fulfill');
+    const headers = rewrites.filter(r => r.headers).map(r => r.headers);
+    const responseHeaders = rewrites.filter(r => r.responseHeaders).map(r => r.responseHeaders);
+
+    try {
+      if (rule && rule.action === 'block' && !atResponse) {
+        console.log(`   🚫 Blocked ${request.method} ${request.url}`);
+        await this.background.sendEventCommand(tabId, 'Fetch.failRequest', {
+          requestId,
+          errorReason: rule.errorReason || 'BlockedByClient'
+        });
+      } else if (rule && rule.action === 'fulfill' && !atResponse) {
+        const response = await this.buildInterceptResponse(rule);
+        console.log(`   🎭 Fulfilled ${request.method} ${request.url} with ${response.responseCode}`);
+        await this.background.sendEventCommand(tabId, 'Fetch.fulfillRequest', { requestId, ...response });
+      } else if (atResponse && responseHeaders.length) {
+        console.log(`   ✏️ Rewrote response headers for ${request.url}`);
+        await this.background.sendEventCommand(tabId, 'Fetch.continueResponse', {
+          requestId,
+          responseHeaders: responseHeaders.reduce((merged, overrides) => this.mergeHeaders(merged, overrides), params.responseHeaders || [])
+        });
+      } else if (!atResponse && headers.length) {
+        console.log(`   ✏️ Rewrote request headers for ${request.url}`);
+        const existing = Object.entries(request.headers || {}).map(([name, value]) => ({ name, value }));
+        await this.background.sendEventCommand(tabId, 'Fetch.continueRequest', {
+          requestId,
+          headers: headers.reduce((merged, overrides) => this.mergeHeaders(merged, overrides), existing)
+        });
+      } else {
+        await this.background.sendEventCommand(tabId, 'Fetch.continueRequest', { requestId });
+      }
+    } catch (error) {
+      console.warn(`   ⚠️ Interception failed for ${request.url}, continuing request:`, error.message);
+      this.background.sendEventCommand(tabId, 'Fetch.continueRequest', { requestId }).catch(() => {});
+    }
+  }
+
+  // Only requests a rule can match are paused. Fetch patterns are whole-URL globs (backslash escapes),
+  // so a substring becomes "*substring*"; a /regex/ cannot be expressed and pauses every URL
+  buildFetchPatterns(rules) {
+    const patterns = new Map();
+    const add = (urlPattern, resourceType, requestStage) => {
+      const pattern = { urlPattern, requestStage, ...(resourceType ? { resourceType } : {}) };
+      patterns.set(JSON.stringify(pattern), pattern);
+    };
+
+    for (const rule of rules) {
+      const raw = String(rule.urlPattern || rule.url || '');
+      let urlPattern = '*';
+      if (raw && !/^\/(.+)\/([dgimsuy]*)$/.test(raw)) {
+        const escaped = raw.replace(/[\\?]/g, '\\$&');
+        urlPattern = raw.includes('*') ? escaped : `*${escaped}*`;
+      }
+      // Fetch expects resource types in CDP casing, e.g. "XHR", "Image"
+      const resourceType = rule.resourceType
+        ? RESOURCE_TYPES.find(type => type.toLowerCase() === String(rule.resourceType).toLowerCase())
+        : undefined;
+
+      add(urlPattern, resourceType, 'Request');
+      if (rule.responseHeaders && rule.action !== 'fulfill') {
+        add(urlPattern, resourceType, 'Response');
+      }
+    }
+
+    return [...patterns.values()];
+  }
+
+  matchesInterceptRule(rule, request, resourceType) {
+    const urlMatcher = this.buildPatternMatcher(rule.urlPattern || rule.url, { glob: true });
+    if (urlMatcher && !urlMatcher(request.url)) return false;
+    if (rule.method && rule.method.toUpperCase() !== request.method) return false;
+    if (rule.resourceType && rule.resourceType.toLowerCase() !== String(resourceType).toLowerCase()) return false;
+    return true;
+  }
+
+  // Override headers case-insensitively; a null value removes the header
+  mergeHeaders(existing, overrides) {
+    const lowerOverrides = new Map(Object.entries(overrides).map(([name, value]) => [name.toLowerCase(), { name, value }]));
+    const merged = existing.filter(header => !lowerOverrides.has(header.name.toLowerCase()));
+
+    for (const { name, value } of lowerOverrides.values()) {
+      if (value !== null && value !== undefined) {
+        merged.push({ name, value: String(value) });
+      }
+    }
+    return merged;
+  }
+
+  // Canned response from a stored file (Files tab) or an inline body (objects are sent as JSON)
+  async buildInterceptResponse(rule) {
+    let body;
+    let contentType = rule.contentType;
+
+    if (rule.file) {
+      const { uploadFiles = [] } = await chrome.storage.local.get(['uploadFiles']);
+      const file = uploadFiles.find(f => f.id === rule.file || f.name === rule.file);
+      if (!file) {
+        throw new Error(`Stored file not found: ${rule.file}`);
+      }
+      body = file.data;
+      contentType = contentType || file.type;
+    } else {
+      const isJson = rule.body !== null && typeof rule.body === 'object';
+      const text = isJson ? JSON.stringify(rule.body) : String(rule.body ?? '');
+      body = this.encodeBase64(text);
+      contentType = contentType || (isJson ? 'application/json' : 'text/plain');
+    }
+
+    const headers = this.mergeHeaders([{ name: 'Content-Type', value: contentType }], rule.responseHeaders || {});
+    return {
+      responseCode: rule.status || 200,
+      responseHeaders: headers,
+      body
+    };
+  }
+
+  encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  async waitForNavigation(tabId, timeout = 30000) {
+    // This method is kept for compatibility but won't be used
+    // We use chrome.tabs status checking instead
+    return this.background.waitForTabLoad(tabId, timeout);
+  }
+
+  async click(step, tabId) {
+    const element = await this.getElement(step.selectors, tabId);
+
+    if (!element) {
+      throw new Error('Element not found for click action');
+    }
 
     const selector = element.selector;
     if (!selector) {
@@ -960,23 +2436,50 @@ class ScriptExecutor {
                                 selector.includes('role=\'gridcell\'') ||
                                 selector.includes('#pane-side');
 
+    const button = this.getMouseButton(step);
+    const modifiers = this.getModifierMask(step);
+
+    // Under touch emulation a click is a tap, like on the real device
+    if (this.emulatedTabs.get(tabId)?.touch && button === 'left' && !modifiers) {
+      console.log(`   📱 Touch emulation active, tapping instead of clicking`);
+      await this.tapAt(tabId, await this.getElementPointViaDebugger(tabId, selector, step, { scrollIntoView: true, frame: element.frame }), { ...step, tapCount: step.clickCount });
+      return;
+    }
+
     if (forceDebuggerClick) {
       console.log(`   🎯 Using CDP trusted click for WhatsApp element`);
-      await this.clickViaDebugger(step, tabId, selector);
+      await this.clickViaDebugger(step, tabId, selector, element.frame);
       return;
     }
 
+    // Context menus and Ctrl/Cmd-click to open a new tab only react to trusted input
+    if (button !== 'left' || modifiers) {
+      console.log(`   🎯 Using CDP trusted ${button} click${modifiers ? ' with modifiers' : ''}`);
+      try {
+        await this.clickViaDebugger(step, tabId, selector, element.frame);
+        return;
+      } catch (error) {
+        console.warn(`   ⚠️ CDP click failed, falling back to content script:`, error.message);
+      }
+    }
+
     // Use content script for real DOM click (more reliable for anti-automation)
     console.log(`   📨 Sending CLICK_ELEMENT message to content script...`);
     try {
-      const response = await chrome.tabs.sendMessage(tabId, {
+      const response = await this.sendToContent(tabId, {
         type: 'CLICK_ELEMENT',
         selector: selector,
         options: {
           offsetX: step.offsetX,
-          offsetY: step.offsetY
+          offsetY: step.offsetY,
+          button,
+          clickCount: step.clickCount || 1,
+          altKey: !!(modifiers & 1),
+          ctrlKey: !!(modifiers & 2),
+          metaKey: !!(modifiers & 4),
+          shiftKey: !!(modifiers & 8)
         }
-      });
+      }, element.frameId);
 
       if (response && response.success) {
         if (response.result.usedAncestor) {
@@ -987,69 +2490,175 @@ class ScriptExecutor {
         if (response.result.href) {
           console.log(`   🔗 Link: ${response.result.href}`);
         }
+        // Synthetic modifier/middle clicks cannot open tabs themselves, so open it like the browser would
+        if (response.result.openInNewTab) {
+          const tab = await chrome.tabs.create({ url: response.result.openInNewTab, openerTabId: tabId, active: false });
+          console.log(`   ➕ Opened link in new tab ${tab.id}`);
+        }
         return;
       } else {
         console.warn(`   ⚠️ Content script click failed, falling back to debugger API`);
-        await this.clickViaDebugger(step, tabId, selector);
+        await this.clickViaDebugger(step, tabId, selector, element.frame);
       }
     } catch (error) {
       console.warn(`   ⚠️ Content script not available, using debugger API:`, error.message);
-      await this.clickViaDebugger(step, tabId, selector);
+      await this.clickViaDebugger(step, tabId, selector, element.frame);
     }
   }
 
-  async clickViaDebugger(step, tabId, selector) {
-    try {
-      // Use DOM API to get element position (more accurate than Runtime.evaluate)
-      const doc = await this.background.sendDebuggerCommand(tabId, 'DOM.getDocument');
+  // Resolve a CSS selector to a DOM domain nodeId
+  async querySelectorNodeId(tabId, selector) {
+    const doc = await this.background.sendDebuggerCommand(tabId, 'DOM.getDocument');
 
-      // Query for the element
-      const element = await this.background.sendDebuggerCommand(tabId, 'DOM.querySelector', {
-        nodeId: doc.root.nodeId,
-        selector: selector
+    // DOM.querySelector stops at shadow roots, so resolve the element in the page and request its node
+    if (this.isDeepSelector(selector)) {
+      const evaluation = await this.background.sendDebuggerCommand(tabId, 'Runtime.evaluate', {
+        expression: this.buildElementExpression(selector)
       });
-
-      if (!element.nodeId) {
+      const objectId = evaluation && evaluation.result && evaluation.result.objectId;
+      if (!objectId) {
         throw new Error(`Element not found: ${selector}`);
       }
+      const { nodeId } = await this.background.sendDebuggerCommand(tabId, 'DOM.requestNode', { objectId });
+      return nodeId;
+    }
 
-      // Get element's box model for precise positioning
-      const boxModel = await this.background.sendDebuggerCommand(tabId, 'DOM.getBoxModel', {
-        nodeId: element.nodeId
-      });
+    const element = await this.background.sendDebuggerCommand(tabId, 'DOM.querySelector', {
+      nodeId: doc.root.nodeId,
+      selector: selector
+    });
+
+    if (!element.nodeId) {
+      throw new Error(`Element not found: ${selector}`);
+    }
+
+    return element.nodeId;
+  }
+
+  // Resolve an element's viewport point via DOM.getBoxModel (center unless offsetX/offsetY given).
+  // options.box picks the quad used for bounds ("content" by default, "border" for screenshots).
+  // Elements inside iframes (options.frame) are measured by that frame's content script plus the frame offset.
+  async getElementPointViaDebugger(tabId, selector, step = {}, options = {}) {
+    if (options.frame && options.frame.frameId) {
+      return this.getFramedElementPoint(tabId, selector, step, options);
+    }
+
+    // Use DOM API to get element position (more accurate than Runtime.evaluate)
+    const element = { nodeId: await this.querySelectorNodeId(tabId, selector) };
+
+    if (options.scrollIntoView) {
+      try {
+        await this.background.sendDebuggerCommand(tabId, 'DOM.scrollIntoViewIfNeeded', {
+          nodeId: element.nodeId
+        });
+      } catch (error) {
+        console.warn(`   ⚠️ Could not scroll element into view:`, error.message);
+      }
+    }
+
+    // Get element's box model for precise positioning
+    const boxModel = await this.background.sendDebuggerCommand(tabId, 'DOM.getBoxModel', {
+      nodeId: element.nodeId
+    });
+
+    // Calculate center point from content quad
+    const quad = boxModel.model[options.box || 'content'];
+    const minX = Math.min(quad[0], quad[2], quad[4], quad[6]);
+    const minY = Math.min(quad[1], quad[3], quad[5], quad[7]);
+    const width = Math.max(quad[0], quad[2], quad[4], quad[6]) - minX;
+    const height = Math.max(quad[1], quad[3], quad[5], quad[7]) - minY;
+
+    return {
+      x: step.offsetX !== undefined ? minX + step.offsetX : minX + width / 2,
+      y: step.offsetY !== undefined ? minY + step.offsetY : minY + height / 2,
+      left: minX,
+      top: minY,
+      width,
+      height,
+      nodeId: element.nodeId
+    };
+  }
 
-      // Calculate center point from content quad
-      const quad = boxModel.model.content;
-      const minX = Math.min(quad[0], quad[2], quad[4], quad[6]);
-      const minY = Math.min(quad[1], quad[3], quad[5], quad[7]);
-      const width = Math.max(quad[0], quad[2], quad[4], quad[6]) - minX;
-      const height = Math.max(quad[1], quad[3], quad[5], quad[7]) - minY;
+  async getFramedElementPoint(tabId, selector, step, options) {
+    let frame = options.frame;
+    const response = await this.sendToContent(tabId, {
+      type: 'GET_ELEMENT_COORDINATES',
+      selector,
+      options: { scrollIntoView: !!options.scrollIntoView }
+    }, frame.frameId);
+
+    const rect = response && response.success ? response.coordinates : null;
+    if (!rect) {
+      throw new Error(`Element not found in frame ${frame.frameId}: ${selector}`);
+    }
 
+    // Scrolling inside the frame can move the iframe itself, so re-measure its offset
+    if (options.scrollIntoView && frame.path) {
+      frame = await this.resolveFrame(tabId, frame.path);
+    }
+
+    const left = frame.offset.x + rect.left;
+    const top = frame.offset.y + rect.top;
+    return {
+      x: step.offsetX !== undefined ? left + step.offsetX : left + rect.width / 2,
+      y: step.offsetY !== undefined ? top + step.offsetY : top + rect.height / 2,
+      left,
+      top,
+      width: rect.width,
+      height: rect.height,
+      nodeId: null
+    };
+  }
+
+  async clickViaDebugger(step, tabId, selector, frame = null) {
+    try {
       // Calculate click coordinates (center of element by default)
-      const x = step.offsetX !== undefined ? minX + step.offsetX : minX + width / 2;
-      const y = step.offsetY !== undefined ? minY + step.offsetY : minY + height / 2;
+      const { x, y } = await this.getElementPointViaDebugger(tabId, selector, step, { frame });
+
+      const button = this.getMouseButton(step);
+      const modifiers = this.getModifierMask(step);
+      const clickCount = step.clickCount || 1;
 
       console.log(`   🎯 CDP click using DOM.getBoxModel at (${Math.round(x)}, ${Math.round(y)})`);
 
-      // Perform click using Input.dispatchMouseEvent (generates trusted events)
       await this.background.sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
-        type: 'mousePressed',
+        type: 'mouseMoved',
         x: x,
         y: y,
-        button: step.button || 'left',
-        clickCount: 1
+        modifiers
       });
 
-      await this.wait(10);
+      // Perform click using Input.dispatchMouseEvent (generates trusted events).
+      // A double click is two press/release pairs with clickCount 1 then 2, which is what fires dblclick
+      for (let count = 1; count <= clickCount; count++) {
+        await this.background.sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
+          type: 'mousePressed',
+          x: x,
+          y: y,
+          button,
+          buttons: MOUSE_BUTTON_MASKS[button],
+          clickCount: count,
+          modifiers
+        });
 
-      await this.background.sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
-        type: 'mouseReleased',
-        x: x,
-        y: y,
-        button: step.button || 'left',
-        clickCount: 1
-      });
+        await this.wait(10);
 
+        await this.background.sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
+          type: 'mouseReleased',
+          x: x,
+          y: y,
+          button,
+          buttons: 0,
+          clickCount: count,
+          modifiers
+        });
+
+        if (count < clickCount) {
+          await this.wait(50);
+        }
+      }
+
+      this.mousePosition = { x, y };
       console.log(`   ✓ CDP click complete at (${Math.round(x)}, ${Math.round(y)})`);
     } catch (error) {
       console.error(`   ❌ CDP click failed:`, error.message);
@@ -1057,10 +2666,292 @@ class ScriptExecutor {
     }
   }
 
+  // Gesture anchor: the element point (center unless offsetX/offsetY), absolute x/y, or the viewport center
+  async resolveGesturePoint(step, tabId) {
+    if (step.selectors && step.selectors.length) {
+      const element = await this.getElement(step.selectors, tabId);
+      if (!element) {
+        throw new Error(`Element not found for ${step.type} action`);
+      }
+      return this.getElementPointViaDebugger(tabId, element.selector, step, { scrollIntoView: true, frame: element.frame });
+    }
+
+    if (step.x !== undefined && step.y !== undefined) {
+      return { x: Number(step.x), y: Number(step.y) };
+    }
+
+    const metrics = await this.background.sendDebuggerCommand(tabId, 'Page.getLayoutMetrics');
+    const viewport = metrics.cssLayoutViewport || metrics.layoutViewport;
+    return { x: viewport.clientWidth / 2, y: viewport.clientHeight / 2, width: viewport.clientWidth, height: viewport.clientHeight };
+  }
+
+  dispatchTouch(tabId, type, points) {
+    return this.background.sendDebuggerCommand(tabId, 'Input.dispatchTouchEvent', {
+      type,
+      touchPoints: points.map((point, id) => ({ x: point.x, y: point.y, id, radiusX: 1, radiusY: 1, force: 1 }))
+    });
+  }
+
+  // Move every finger from its start to its end point in `steps` touchMove events
+  async touchGesture(tabId, from, to, options = {}) {
+    const steps = Math.max(1, options.steps ?? 10);
+    const stepDelay = (options.duration ?? 300) / steps;
+
+    await this.dispatchTouch(tabId, 'touchStart', from);
+    for (let i = 1; i <= steps; i++) {
+      await this.wait(stepDelay);
+      await this.dispatchTouch(tabId, 'touchMove', from.map((point, index) => ({
+        x: point.x + ((to[index].x - point.x) * i) / steps,
+        y: point.y + ((to[index].y - point.y) * i) / steps
+      })));
+    }
+    await this.dispatchTouch(tabId, 'touchEnd', []);
+  }
+
+  async tapAt(tabId, point, step = {}) {
+    const count = step.tapCount || 1;
+    for (let i = 0; i < count; i++) {
+      await this.dispatchTouch(tabId, 'touchStart', [point]);
+      await this.wait(step.duration ?? 50);
+      await this.dispatchTouch(tabId, 'touchEnd', []);
+      if (i < count - 1) {
+        await this.wait(100);
+      }
+    }
+    console.log(`   👆 Tapped at (${Math.round(point.x)}, ${Math.round(point.y)})${count > 1 ? ` x${count}` : ''}`);
+  }
+
+  // Format: { type: "tap", selectors?: [...], offsetX?, offsetY?, x?, y?, tapCount?: 1, duration?: 50 }
+  async tap(step, tabId) {
+    const point = await this.resolveGesturePoint(step, tabId);
+    await this.tapAt(tabId, point, step);
+    return { x: point.x, y: point.y };
+  }
+
+  // Format: { type: "swipe", selectors?: [...], direction: "up" | "down" | "left" | "right", distance?: 300,
+  //           duration?: 300, steps?: 10, mode?: "touch" | "scroll", speed?: 800 }
+  // "touch" sends raw touch events (swipe handlers, carousels); "scroll" uses the browser's scroll gesture
+  async swipe(step, tabId) {
+    const start = await this.resolveGesturePoint(step, tabId);
+    const distance = Number(step.distance ?? 300);
+    const vectors = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+    const vector = vectors[step.direction || 'up'];
+    if (!vector) {
+      throw new Error(`Unknown swipe direction "${step.direction}". Use up, down, left or right`);
+    }
+    const end = { x: start.x + vector[0] * distance, y: start.y + vector[1] * distance };
+
+    console.log(`   👉 Swiping ${step.direction || 'up'} ${distance}px from (${Math.round(start.x)}, ${Math.round(start.y)})`);
+
+    if (step.mode === 'scroll') {
+      await this.background.sendDebuggerCommand(tabId, 'Input.synthesizeScrollGesture', {
+        x: start.x,
+        y: start.y,
+        xDistance: end.x - start.x,
+        yDistance: end.y - start.y,
+        speed: step.speed ?? 800,
+        gestureSourceType: 'touch'
+      });
+    } else {
+      await this.touchGesture(tabId, [start], [end], step);
+    }
+
+    return { from: { x: start.x, y: start.y }, to: end };
+  }
+
+  // Format: { type: "pinch", selectors?: [...], scale: 2 (zoom in) | 0.5 (zoom out), radius?: 50, duration?: 300, steps?: 10 }
+  // Two fingers start `radius` px either side of the anchor and move apart/together by `scale`
+  async pinch(step, tabId) {
+    const center = await this.resolveGesturePoint(step, tabId);
+    const scale = Number(step.scale ?? 2);
+    const radius = Number(step.radius ?? 50);
+    const spread = (r) => [{ x: center.x - r, y: center.y }, { x: center.x + r, y: center.y }];
+
+    console.log(`   🤏 Pinching x${scale} at (${Math.round(center.x)}, ${Math.round(center.y)})`);
+    await this.touchGesture(tabId, spread(radius), spread(radius * scale), step);
+
+    return { x: center.x, y: center.y, scale };
+  }
+
+  // Move the pointer from its last known position to (x, y) in small mouseMoved increments
+  async movePointerTo(tabId, x, y, options = {}) {
+    const steps = Math.max(1, options.steps ?? 10);
+    const stepDelay = options.stepDelay ?? 10;
+    const from = this.mousePosition;
+
+    for (let i = 1; i <= steps; i++) {
+      const px = from.x + ((x - from.x) * i) / steps;
+      const py = from.y + ((y - from.y) * i) / steps;
+
+      await this.background.sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
+        type: 'mouseMoved',
+        x: px,
+        y: py,
+        button: options.button || 'none',
+        buttons: options.buttons || 0,
+        modifiers: options.modifiers || 0
+      });
+
+      if (stepDelay > 0 && i < steps) {
+        await this.wait(stepDelay);
+      }
+    }
+
+    this.mousePosition = { x, y };
+  }
+
+  async hover(step, tabId) {
+    const element = await this.getElement(step.selectors, tabId);
+
+    if (!element || !element.selector) {
+      throw new Error('Element not found for hover action');
+    }
+
+    const { x, y } = await this.getElementPointViaDebugger(tabId, element.selector, step, { scrollIntoView: true, frame: element.frame });
+    console.log(`   🖱️ Hovering <${element.info?.tagName || 'unknown'}> at (${Math.round(x)}, ${Math.round(y)})`);
+
+    await this.movePointerTo(tabId, x, y, {
+      steps: step.steps,
+      stepDelay: step.stepDelay,
+      modifiers: this.getModifierMask(step)
+    });
+
+    // Keep the pointer in place so hover menus/tooltips have time to open
+    if (step.duration) {
+      await this.wait(step.duration);
+    }
+  }
+
+  // Move the pointer along a path of points, or to an element/coordinate
+  // Format: { type: "pointerMove", path: [{ x, y }, ...] } | { x, y } | { selectors: [...] }
+  async pointerMove(step, tabId) {
+    let points = Array.isArray(step.path) ? step.path : null;
+
+    if (!points && step.selectors && step.selectors.length) {
+      const element = await this.getElement(step.selectors, tabId);
+      if (!element || !element.selector) {
+        throw new Error('Element not found for pointerMove action');
+      }
+      points = [await this.getElementPointViaDebugger(tabId, element.selector, step, { scrollIntoView: true, frame: element.frame })];
+    }
+
+    if (!points && step.x !== undefined && step.y !== undefined) {
+      points = [{ x: step.x, y: step.y }];
+    }
+
+    if (!points || points.length === 0) {
+      throw new Error('pointerMove requires "path", "x"/"y" or "selectors"');
+    }
+
+    for (const point of points) {
+      await this.movePointerTo(tabId, Number(point.x), Number(point.y), {
+        steps: step.steps,
+        stepDelay: step.stepDelay,
+        modifiers: this.getModifierMask(step)
+      });
+    }
+
+    console.log(`   🖱️ Pointer moved through ${points.length} point(s), now at (${Math.round(this.mousePosition.x)}, ${Math.round(this.mousePosition.y)})`);
+  }
+
+  // Drag from the source element to the target element with trusted mouse events.
+  // Native HTML5 drags are intercepted (Input.setInterceptDrags) and replayed via Input.dispatchDragEvent.
+  // Format: { type: "dragAndDrop", selectors: [...], targetSelectors: [...], mode?: "auto" | "mouse" | "html5" }
+  async dragAndDrop(step, tabId) {
+    const source = await this.getElement(step.selectors, tabId);
+    if (!source || !source.selector) {
+      throw new Error('Source element not found for dragAndDrop action');
+    }
+
+    const target = await this.getElement(step.targetSelectors, tabId);
+    if (!target || !target.selector) {
+      throw new Error('Target element not found for dragAndDrop action');
+    }
+
+    const mode = step.mode || 'auto';
+    const from = await this.getElementPointViaDebugger(tabId, source.selector, step, { scrollIntoView: true, frame: source.frame });
+    const to = await this.getElementPointViaDebugger(tabId, target.selector, {
+      offsetX: step.targetOffsetX,
+      offsetY: step.targetOffsetY
+    }, { frame: target.frame });
+    const modifiers = this.getModifierMask(step);
+    const moveOptions = { steps: step.steps ?? 15, stepDelay: step.stepDelay ?? 15, modifiers };
+
+    console.log(`   ✊ Dragging ${source.selector} (${Math.round(from.x)}, ${Math.round(from.y)}) → ${target.selector} (${Math.round(to.x)}, ${Math.round(to.y)}) [${mode}]`);
+
+    const interceptDrags = mode !== 'mouse';
+    if (interceptDrags) {
+      await this.background.sendDebuggerCommand(tabId, 'Input.setInterceptDrags', { enabled: true });
+    }
+
+    try {
+      await this.movePointerTo(tabId, from.x, from.y, { ...moveOptions, steps: 1 });
+      await this.background.sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
+        type: 'mousePressed',
+        x: from.x,
+        y: from.y,
+        button: 'left',
+        buttons: 1,
+        clickCount: 1,
+        modifiers
+      });
+
+      // Start listening before moving: Chrome fires dragIntercepted once the drag threshold is crossed
+      const intercepted = interceptDrags
+        ? this.waitForDebuggerEvent(tabId, 'Input.dragIntercepted', (step.dragStartTimeout ?? 1000) + moveOptions.steps * moveOptions.stepDelay)
+        : Promise.resolve(null);
+
+      await this.wait(step.holdDelay ?? 50);
+      await this.movePointerTo(tabId, to.x, to.y, { ...moveOptions, button: 'left', buttons: 1 });
+
+      const dragEvent = await intercepted;
+
+      if (dragEvent && dragEvent.data) {
+        console.log(`   📦 HTML5 drag intercepted, dispatching drag events`);
+        for (const type of ['dragEnter', 'dragOver', 'drop']) {
+          await this.background.sendDebuggerCommand(tabId, 'Input.dispatchDragEvent', {
+            type,
+            x: to.x,
+            y: to.y,
+            data: dragEvent.data,
+            modifiers
+          });
+          await this.wait(20);
+        }
+      } else if (mode === 'html5') {
+        throw new Error('Source element did not start an HTML5 drag');
+      }
+
+      await this.background.sendDebuggerCommand(tabId, 'Input.dispatchMouseEvent', {
+        type: 'mouseReleased',
+        x: to.x,
+        y: to.y,
+        button: 'left',
+        buttons: 0,
+        clickCount: 1,
+        modifiers
+      });
+
+      console.log(`   ✓ Drag and drop complete`);
+    } finally {
+      if (interceptDrags) {
+        await this.background.sendDebuggerCommand(tabId, 'Input.setInterceptDrags', { enabled: false }).catch(() => {});
+      }
+    }
+  }
+
   async doubleClick(step, tabId) {
-    await this.click(step, tabId);
-    await this.wait(100);
-    await this.click(step, tabId);
+    await this.click({ ...step, clickCount: 2 }, tabId);
+  }
+
+  // Format: button: "left" | "right" | "middle" (also accepts "primary", "secondary", "auxiliary")
+  getMouseButton(step) {
+    const aliases = { primary: 'left', secondary: 'right', auxiliary: 'middle' };
+    const button = aliases[step.button] || step.button || 'left';
+    if (!MOUSE_BUTTON_MASKS[button]) {
+      throw new Error(`Unknown mouse button "${step.button}", expected left, right, middle, back or forward`);
+    }
+    return button;
   }
 
   async keyAction(step, tabId) {
@@ -1070,25 +2961,28 @@ class ScriptExecutor {
 
     // Get the element selector for the key action
     let selector = null;
+    let frameId = 0;
 
     if (step.selectors && step.selectors.length) {
       const element = await this.getElement(step.selectors, tabId);
       if (element && element.selector) {
         selector = element.selector;
+        frameId = element.frameId;
         console.log(`   ⌨️ Pressing ${step.key} on element: ${selector}`);
       }
     } else if (this.lastFocusedSelector) {
       selector = this.lastFocusedSelector;
+      frameId = this.lastFocusedFrameId;
       console.log(`   ⌨️ Pressing ${step.key} on last focused element: ${selector}`);
     }
 
     // Use content script to press key via DOM events (more reliable than debugger API)
     try {
-      const response = await chrome.tabs.sendMessage(tabId, {
+      const response = await this.sendToContent(tabId, {
         type: 'PRESS_KEY',
         selector: selector,
         key: step.key
-      });
+      }, frameId);
 
       if (response && response.success) {
         console.log(`   ✓ Key press successful: ${step.key}`);
@@ -1119,8 +3013,8 @@ class ScriptExecutor {
       text: '',
       unmodifiedText: '',
       autoRepeat,
-      isKeypad: step.isKeypad || false,
-      location: step.location || 0,
+      isKeypad: step.isKeypad ?? descriptor.location === 3,
+      location: step.location ?? descriptor.location,
       modifiers
     };
 
@@ -1151,12 +3045,107 @@ class ScriptExecutor {
         };
         await this.background.sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', keyUpPayload);
       }
-    } else {
-      const keyUpPayload = {
-        ...basePayload,
-        type: 'keyUp'
-      };
-      await this.background.sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', keyUpPayload);
+    } else {
+      const keyUpPayload = {
+        ...basePayload,
+        type: 'keyUp'
+      };
+      await this.background.sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', keyUpPayload);
+    }
+  }
+
+  // Format: { type: "press", keys: "Control+Shift+K" | "g i" | ["Control+K", "Control+C"], selectors?, delay?: 50 }
+  // A string with spaces or an array is a sequence; each item is a chord of "+"-joined keys
+  async press(step, tabId) {
+    const sequence = this.parseKeySequence(step.keys ?? step.key);
+    if (!sequence.length) {
+      throw new Error('press requires "keys", e.g. "Control+Shift+K" or ["g", "i"]');
+    }
+
+    if (step.selectors && step.selectors.length) {
+      const element = await this.getElement(step.selectors, tabId);
+      if (!element) {
+        throw new Error('Element not found for press action');
+      }
+      if (element.frameId || !(await this.focusElementBySelector(tabId, element.selector))) {
+        await this.clickViaDebugger({}, tabId, element.selector, element.frame);
+      }
+      this.lastFocusedSelector = element.selector;
+      this.lastFocusedFrameId = element.frameId;
+    }
+
+    for (let i = 0; i < sequence.length; i++) {
+      console.log(`   ⌨️ Pressing ${sequence[i]}`);
+      await this.pressChord(tabId, sequence[i], step);
+      if (i < sequence.length - 1) {
+        await this.wait(step.delay ?? 50);
+      }
+    }
+
+    return { keys: sequence };
+  }
+
+  parseKeySequence(keys) {
+    if (Array.isArray(keys)) {
+      return keys.flatMap(item => this.parseKeySequence(item));
+    }
+    if (typeof keys !== 'string' || !keys.length) {
+      return [];
+    }
+    // A lone space is the Space key, otherwise whitespace separates sequence items
+    return keys === ' ' ? ['Space'] : keys.trim().split(/\s+/);
+  }
+
+  // "Control+Shift+K": hold the modifiers, press the last key, release in reverse order. "Control++" presses "+"
+  async pressChord(tabId, chord, step = {}) {
+    const parts = chord.endsWith('++') ? [...chord.slice(0, -2).split('+').filter(Boolean), '+'] : chord.split('+');
+    let mainKey = parts.pop();
+    const modifierNames = parts.map(name => {
+      const modifier = MODIFIER_ALIASES[name.toLowerCase()];
+      if (!modifier) {
+        throw new Error(`"${name}" in "${chord}" is not a modifier (Shift, Control, Alt, Meta)`);
+      }
+      return modifier;
+    });
+
+    // "Control+K" means the K key, not Shift+K; only a Shift in the chord makes the letter uppercase
+    if (modifierNames.length && !modifierNames.includes('Shift') && /^[A-Z]$/.test(mainKey)) {
+      mainKey = mainKey.toLowerCase();
+    }
+
+    const dispatch = (type, descriptor, modifiers, text) => this.background.sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', {
+      type,
+      key: descriptor.key,
+      code: descriptor.code,
+      windowsVirtualKeyCode: descriptor.keyCode,
+      nativeVirtualKeyCode: descriptor.keyCode,
+      location: descriptor.location,
+      isKeypad: descriptor.location === 3,
+      modifiers,
+      ...(text ? { text, unmodifiedText: text } : {})
+    });
+
+    const held = [];
+    for (const name of modifierNames) {
+      held.push(name);
+      await dispatch('rawKeyDown', this.buildKeyDescriptor({ key: name }), this.getModifierMask(held));
+    }
+
+    const modifiers = this.getModifierMask(held);
+    let descriptor = this.buildKeyDescriptor({ key: mainKey });
+    if (held.includes('Shift') && KEY_DEFINITIONS[descriptor.key]?.shiftKey) {
+      descriptor = this.buildKeyDescriptor({ key: KEY_DEFINITIONS[descriptor.key].shiftKey });
+    }
+
+    // Only Shift keeps text; with Control/Alt/Meta held the chord is a shortcut, not typing
+    const producesText = descriptor.text && !(modifiers & ~this.getModifierMask(['shift']));
+    await dispatch(producesText ? 'keyDown' : 'rawKeyDown', descriptor, modifiers, producesText ? descriptor.text : '');
+    await this.wait(step.holdDuration ?? 30);
+    await dispatch('keyUp', descriptor, modifiers);
+
+    while (held.length) {
+      const name = held.pop();
+      await dispatch('keyUp', this.buildKeyDescriptor({ key: name }), this.getModifierMask(held));
     }
   }
 
@@ -1203,8 +3192,7 @@ class ScriptExecutor {
       return false;
     }
 
-    const safeSelector = this.escapeSelectorForEval(selector);
-    const script = this.buildFocusScript(safeSelector);
+    const script = this.buildFocusScript(this.buildElementExpression(selector));
     const result = await this.background.sendDebuggerCommand(tabId, 'Runtime.evaluate', {
       expression: script,
       returnByValue: true
@@ -1213,10 +3201,10 @@ class ScriptExecutor {
     return !!(result && result.result && result.result.value);
   }
 
-  buildFocusScript(selector) {
+  buildFocusScript(elementExpression) {
     return `
       (function() {
-        var target = document.querySelector('${selector}');
+        var target = ${elementExpression};
         if (!target || typeof target.focus !== 'function') {
           return false;
         }
@@ -1287,30 +3275,22 @@ class ScriptExecutor {
     const key = step.key;
     const overrides = step.keyDescriptor || {};
 
-    const specialKeys = {
-      Enter: { key: 'Enter', code: 'Enter', keyCode: 13, textProducesCharacter: false },
-      Tab: { key: 'Tab', code: 'Tab', keyCode: 9, textProducesCharacter: false },
-      Backspace: { key: 'Backspace', code: 'Backspace', keyCode: 8, textProducesCharacter: false },
-      Delete: { key: 'Delete', code: 'Delete', keyCode: 46, textProducesCharacter: false },
-      Escape: { key: 'Escape', code: 'Escape', keyCode: 27, textProducesCharacter: false },
-      ArrowUp: { key: 'ArrowUp', code: 'ArrowUp', keyCode: 38, textProducesCharacter: false },
-      ArrowDown: { key: 'ArrowDown', code: 'ArrowDown', keyCode: 40, textProducesCharacter: false },
-      ArrowLeft: { key: 'ArrowLeft', code: 'ArrowLeft', keyCode: 37, textProducesCharacter: false },
-      ArrowRight: { key: 'ArrowRight', code: 'ArrowRight', keyCode: 39, textProducesCharacter: false },
-      Space: { key: ' ', code: 'Space', keyCode: 32, text: ' ', unmodifiedText: ' ', textProducesCharacter: true }
-    };
-
-    const base = specialKeys[key] || this.buildCharacterKeyDescriptor(key);
+    const definition = Object.prototype.hasOwnProperty.call(KEY_DEFINITIONS, key) ? KEY_DEFINITIONS[key] : null;
+    const base = definition
+      ? { ...definition, unmodifiedText: definition.text }
+      : this.buildCharacterKeyDescriptor(key);
 
     return {
-      key: overrides.key || step.key || base.key,
+      key: overrides.key || base.key || step.key,
       code: overrides.code || step.code || base.code,
       keyCode: overrides.keyCode || step.keyCode || base.keyCode,
       text: overrides.text !== undefined ? overrides.text : (step.text !== undefined ? step.text : (base.text || '')),
       unmodifiedText: overrides.unmodifiedText !== undefined
         ? overrides.unmodifiedText
         : (step.unmodifiedText !== undefined ? step.unmodifiedText : (base.unmodifiedText || base.text || '')),
-      textProducesCharacter: overrides.textProducesCharacter !== undefined ? overrides.textProducesCharacter : this.isTextProducingKey(step, base)
+      textProducesCharacter: overrides.textProducesCharacter !== undefined ? overrides.textProducesCharacter : this.isTextProducingKey(step, base),
+      location: base.location || 0,
+      shift: !!base.shift
     };
   }
 
@@ -1319,15 +3299,9 @@ class ScriptExecutor {
       return { key: 'Unidentified', code: 'Unidentified', keyCode: 0, text: '', unmodifiedText: '' };
     }
 
-    if (key.length === 1) {
-      const charCode = key.toUpperCase().charCodeAt(0);
-      return {
-        key,
-        code: /^\d$/.test(key) ? `Digit${key}` : `Key${key.toUpperCase()}`,
-        keyCode: charCode,
-        text: key,
-        unmodifiedText: key
-      };
+    // Characters outside the US layout still produce text, without a physical key
+    if (Array.from(key).length === 1) {
+      return { key, code: '', keyCode: 0, text: key, unmodifiedText: key };
     }
 
     return { key, code: key, keyCode: 0, text: '', unmodifiedText: '' };
@@ -1411,73 +3385,874 @@ class ScriptExecutor {
       throw new Error('No selector available for change action');
     }
 
+    // Native <select>, checkbox/radio and ARIA combobox/listbox controls are set directly
+    const controlResult = await this.setControlValue(step, tabId, selector, element.frameId);
+    if (controlResult) {
+      if (!controlResult.success) {
+        throw new Error(`${step.type} failed on <${controlResult.elementType || element.info?.tagName}>: ${controlResult.error || 'value not applied'}`);
+      }
+      console.log(`   ✓ Set ${controlResult.elementType} to ${JSON.stringify(controlResult.value)}`);
+      this.lastFocusedSelector = selector;
+      this.lastFocusedFrameId = element.frameId;
+      return;
+    }
+
+    if (step.type === 'select') {
+      throw new Error('select step target is not a <select>, checkbox, radio or ARIA combobox/listbox');
+    }
+
+    if (step.typeMode === 'keystrokes') {
+      await this.typeKeystrokes(step, tabId, element);
+      return;
+    }
+
     const text = step.value ?? '';
     console.log(`   ⌨️ Typing "${text}" into element: ${selector}`);
 
     // Use content script for real DOM typing (bypasses anti-automation like WhatsApp)
     try {
-      const response = await chrome.tabs.sendMessage(tabId, {
+      const response = await this.sendToContent(tabId, {
         type: 'TYPE_TEXT',
         selector: selector,
         text: text
-      });
+      }, element.frameId);
 
       if (response && response.success) {
         console.log(`   ✓ DOM typing successful (${response.result.elementType})`);
         this.lastFocusedSelector = selector;
+        this.lastFocusedFrameId = element.frameId;
         return;
       } else {
         console.warn(`   ⚠️ Content script typing failed, falling back to debugger API`);
-        await this.changeInputViaDebugger(step, tabId, selector);
+        await this.changeInputViaDebugger(step, tabId, selector, element.frame);
       }
     } catch (error) {
       console.warn(`   ⚠️ Content script not available, using debugger API:`, error.message);
-      await this.changeInputViaDebugger(step, tabId, selector);
+      await this.changeInputViaDebugger(step, tabId, selector, element.frame);
     }
   }
 
-  async changeInputViaDebugger(step, tabId, selector) {
-    const safeSelector = this.escapeSelectorForEval(selector);
-    const valueExpression = JSON.stringify(step.value ?? '');
+  // Returns the content script result for non-text controls, or null when the element should be typed into
+  async setControlValue(step, tabId, selector, frameId = 0) {
+    // Pick the value and matching strategy: explicit label/index/values win over value
+    let value = step.value;
+    let by = step.by;
+    if (step.values !== undefined) value = step.values;
+    if (step.label !== undefined) { value = step.label; by = 'label'; }
+    if (step.index !== undefined) { value = String(step.index); by = 'index'; }
+
+    try {
+      const response = await this.sendToContent(tabId, {
+        type: 'SET_CONTROL_VALUE',
+        selector,
+        value,
+        options: {
+          by,
+          checked: step.checked,
+          confirmKey: step.confirmKey,
+          timeout: step.timeout,
+          pickOption: step.type === 'select'
+        }
+      }, frameId);
+
+      if (response && response.success && response.result?.handled) {
+        return response.result;
+      }
+    } catch (error) {
+      console.warn(`   ⚠️ Control value check unavailable:`, error.message);
+    }
+
+    return null;
+  }
+
+  // Set the value through the debugger, inside the element's frame when it is in an iframe
+  async changeInputViaDebugger(step, tabId, selector, frame = null) {
+    const objectId = await this.resolveElementObject(tabId, selector, frame);
+
+    await this.background.sendDebuggerCommand(tabId, 'Runtime.callFunctionOn', {
+      objectId,
+      functionDeclaration: `function(value) {
+        const el = this;
+        const active = el.ownerDocument.activeElement;
+        if (active && active !== el.ownerDocument.body && active !== el && typeof active.blur === 'function') {
+          try { active.blur(); } catch (err) {}
+        }
+        if (typeof el.click === 'function') {
+          try { el.click(); } catch (err) {}
+        }
+        try { el.focus({ preventScroll: true }); } catch (err) { el.focus(); }
+
+        // Handle both regular inputs and contenteditable divs
+        const isContentEditable = el.contentEditable === 'true' || el.getAttribute('contenteditable') === 'true';
+        const tagName = el.tagName.toLowerCase();
+
+        if (isContentEditable || tagName === 'div' || tagName === 'p' || tagName === 'span') {
+          el.textContent = value;
+          el.innerText = value;
+        } else {
+          el.value = value;
+        }
+
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        return true;
+      }`,
+      arguments: [{ value: String(step.value ?? '') }]
+    });
+    await this.background.sendDebuggerCommand(tabId, 'Runtime.releaseObject', { objectId }).catch(() => {});
+
+    console.log(`   ⌨️ Debugger API: Changed input value using selector: ${selector}`);
+
+    // The function above already focused the element; the top-document check also confirms it
+    if (frame?.frameId || await this.focusElementBySelector(tabId, selector)) {
+      this.lastFocusedSelector = selector;
+      this.lastFocusedFrameId = frame?.frameId || 0;
+    }
+  }
+
+  // typeMode "keystrokes": send every character as trusted key events, for editors that ignore a one-shot value
+  // Options: keyDelay (ms, default 50), jitter (extra random ms, default 0), clear (default true; false types after existing text)
+  async typeKeystrokes(step, tabId, element) {
+    const text = String(step.value ?? '');
+    const keyDelay = step.keyDelay ?? 50;
+    const jitter = step.jitter ?? 0;
+
+    // Focus like a user would: a real click inside frames, focus + caret placement in the top document
+    if (element.frameId) {
+      await this.clickViaDebugger({}, tabId, element.selector, element.frame);
+    } else if (!(await this.focusElementBySelector(tabId, element.selector))) {
+      await this.clickViaDebugger({}, tabId, element.selector, element.frame);
+    }
+    this.lastFocusedSelector = element.selector;
+    this.lastFocusedFrameId = element.frameId;
+
+    // Editing commands work the same on every platform, unlike Ctrl+A / Cmd+A
+    if (step.clear !== false) {
+      await this.dispatchEditingKey(tabId, { key: 'a', code: 'KeyA', keyCode: 65, modifiers: this.getModifierMask(['ctrl']), commands: ['selectAll'] });
+      await this.dispatchEditingKey(tabId, { key: 'Backspace', code: 'Backspace', keyCode: 8, commands: ['deleteBackward'] });
+    } else {
+      await this.dispatchEditingKey(tabId, { key: 'End', code: 'End', keyCode: 35, commands: ['moveToEndOfDocument'] });
+    }
+
+    const characters = typeof Intl !== 'undefined' && Intl.Segmenter
+      ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.segment)
+      : Array.from(text);
+    console.log(`   ⌨️ Typing ${characters.length} character(s) as keystrokes into ${element.selector} (${keyDelay}ms + up to ${jitter}ms jitter)`);
+
+    for (const character of characters) {
+      await this.typeCharacter(tabId, character);
+      await this.wait(keyDelay + Math.random() * jitter);
+    }
+
+    console.log(`   ✓ Keystroke typing complete`);
+  }
+
+  async dispatchEditingKey(tabId, { key, code, keyCode, modifiers = 0, commands }) {
+    const payload = { key, code, windowsVirtualKeyCode: keyCode, nativeVirtualKeyCode: keyCode, modifiers };
+    await this.background.sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', { ...payload, type: 'rawKeyDown', commands });
+    await this.background.sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', { ...payload, type: 'keyUp' });
+  }
+
+  // Keys on a US keyboard go through keyDown/keyUp; anything else (accents, CJK, emoji) is inserted like an IME would
+  async typeCharacter(tabId, character) {
+    if (character === '\n' || character === '\r') {
+      const payload = { key: 'Enter', code: 'Enter', windowsVirtualKeyCode: 13, nativeVirtualKeyCode: 13 };
+      await this.background.sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', { ...payload, type: 'keyDown', text: '\r', unmodifiedText: '\r' });
+      await this.background.sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', { ...payload, type: 'keyUp' });
+      return;
+    }
+
+    if (!/^[\x20-\x7E]$/.test(character)) {
+      await this.background.sendDebuggerCommand(tabId, 'Input.insertText', { text: character });
+      return;
+    }
+
+    const descriptor = this.buildKeyDescriptor({ key: character === ' ' ? 'Space' : character });
+    const payload = {
+      key: descriptor.key,
+      code: descriptor.code,
+      windowsVirtualKeyCode: descriptor.keyCode,
+      nativeVirtualKeyCode: descriptor.keyCode,
+      modifiers: descriptor.shift ? this.getModifierMask(['shift']) : 0
+    };
+
+    await this.background.sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', {
+      ...payload,
+      type: 'keyDown',
+      text: character,
+      unmodifiedText: descriptor.unmodifiedText || character
+    });
+    await this.background.sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', { ...payload, type: 'keyUp' });
+  }
+
+  // Attach files to an <input type="file">
+  // Format: { type: "uploadFile", selectors: [...], files?: ["/abs/path.pdf"], storedFiles?: ["name or id"] }
+  async uploadFile(step, tabId) {
+    const paths = [].concat(step.files || step.filePaths || []);
+    const storedNames = [].concat(step.storedFiles || []);
+
+    if (paths.length === 0 && storedNames.length === 0) {
+      throw new Error('uploadFile requires "files" (paths) or "storedFiles" (names from the config page)');
+    }
+
+    const element = await this.getElement(step.selectors, tabId);
+    if (!element || !element.selector) {
+      throw new Error('File input not found for uploadFile action');
+    }
+
+    const selector = element.selector;
+    const uploaded = [];
+    const objectId = await this.resolveElementObject(tabId, selector, element.frame);
+
+    // Local paths go through the debugger so the page receives real File objects
+    if (paths.length) {
+      await this.background.sendDebuggerCommand(tabId, 'DOM.setFileInputFiles', {
+        objectId,
+        files: paths
+      });
+      uploaded.push(...paths);
+      console.log(`   📎 Set ${paths.length} file path(s) on ${selector}`);
+    }
+
+    // Stored files are rebuilt in the page from base64 and appended via DataTransfer
+    if (storedNames.length) {
+      const { uploadFiles = [] } = await chrome.storage.local.get(['uploadFiles']);
+      const files = storedNames.map(name => {
+        const file = uploadFiles.find(f => f.id === name || f.name === name);
+        if (!file) {
+          throw new Error(`Stored file not found: ${name}`);
+        }
+        return file;
+      });
+
+      const value = await this.attachStoredFiles(tabId, objectId, files, paths.length > 0);
+      if (!value || !value.success) {
+        throw new Error(value?.error || 'Failed to attach stored files');
+      }
+
+      uploaded.push(...files.map(f => f.name));
+      console.log(`   📎 Attached ${files.length} stored file(s) on ${selector}`);
+    }
+
+    return uploaded;
+  }
+
+  // Send stored files to the page in base64 chunks (a multi-MB literal in one expression fails),
+  // then build File objects from the decoded chunks and set them on the input
+  async attachStoredFiles(tabId, inputObjectId, files, append) {
+    const { result: holder } = await this.background.sendDebuggerCommand(tabId, 'Runtime.callFunctionOn', {
+      objectId: inputObjectId,
+      functionDeclaration: 'function() { return []; }'
+    });
+
+    try {
+      for (let index = 0; index < files.length; index++) {
+        const data = files[index].data || '';
+        for (let offset = 0; offset === 0 || offset < data.length; offset += UPLOAD_CHUNK_SIZE) {
+          await this.background.sendDebuggerCommand(tabId, 'Runtime.callFunctionOn', {
+            objectId: holder.objectId,
+            functionDeclaration: `function(index, chunk) {
+              const binary = atob(chunk);
+              const bytes = new Uint8Array(binary.length);
+              for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+              (this[index] = this[index] || []).push(bytes);
+            }`,
+            arguments: [{ value: index }, { value: data.slice(offset, offset + UPLOAD_CHUNK_SIZE) }]
+          });
+        }
+      }
+
+      const response = await this.background.sendDebuggerCommand(tabId, 'Runtime.callFunctionOn', {
+        objectId: inputObjectId,
+        functionDeclaration: `function(chunks, files, append) {
+          if (this.type !== 'file') {
+            return { success: false, error: 'Element is not a file input' };
+          }
+          const transfer = new DataTransfer();
+          if (append) {
+            Array.from(this.files || []).forEach(f => transfer.items.add(f));
+          }
+          files.forEach((f, index) => {
+            transfer.items.add(new File(chunks[index] || [], f.name, { type: f.type }));
+          });
+          this.files = transfer.files;
+          this.dispatchEvent(new Event('input', { bubbles: true }));
+          this.dispatchEvent(new Event('change', { bubbles: true }));
+          return { success: true, count: this.files.length };
+        }`,
+        arguments: [
+          { objectId: holder.objectId },
+          { value: files.map(f => ({ name: f.name, type: f.type })) },
+          { value: append }
+        ],
+        returnByValue: true
+      });
+
+      return response?.result?.value;
+    } finally {
+      await this.background.sendDebuggerCommand(tabId, 'Runtime.releaseObject', { objectId: holder.objectId }).catch(() => {});
+    }
+  }
+
+  // Capture the viewport, the full page (fullPage) or one element (selectors) as an image
+  // Format: { type: "screenshot", fullPage?: true, selectors?: [...], format?: "png" | "jpeg", saveTo?: "history" | "download" | "both" }
+  async screenshot(step, tabId) {
+    const format = step.format === 'jpeg' ? 'jpeg' : 'png';
+    const params = { format };
+    if (format === 'jpeg') {
+      params.quality = step.quality ?? 80;
+    }
+
+    if (step.selectors && step.selectors.length) {
+      const element = await this.getElement(step.selectors, tabId);
+      if (!element || !element.selector) {
+        throw new Error('Element not found for screenshot action');
+      }
+
+      // Box model is viewport-relative; the clip is document-relative
+      const box = await this.getElementPointViaDebugger(tabId, element.selector, {}, { scrollIntoView: true, box: 'border', frame: element.frame });
+      const metrics = await this.background.sendDebuggerCommand(tabId, 'Page.getLayoutMetrics');
+      const viewport = metrics.cssLayoutViewport || metrics.layoutViewport;
+      params.clip = {
+        x: box.left + viewport.pageX,
+        y: box.top + viewport.pageY,
+        width: box.width,
+        height: box.height,
+        scale: 1
+      };
+    } else if (step.fullPage) {
+      const metrics = await this.background.sendDebuggerCommand(tabId, 'Page.getLayoutMetrics');
+      const size = metrics.cssContentSize || metrics.contentSize;
+      params.clip = { x: 0, y: 0, width: size.width, height: size.height, scale: 1 };
+      params.captureBeyondViewport = true;
+    }
+
+    const { data } = await this.background.sendDebuggerCommand(tabId, 'Page.captureScreenshot', params);
+    const mode = params.clip ? (step.fullPage ? 'full page' : 'element') : 'viewport';
+    console.log(`   📸 Captured ${mode} screenshot (${Math.round(data.length * 0.75 / 1024)} KB)`);
+
+    return this.saveArtifact({
+      kind: 'screenshot',
+      name: step.name,
+      mimeType: `image/${format}`,
+      extension: format === 'jpeg' ? 'jpg' : 'png',
+      data,
+      filename: step.filename,
+      saveTo: step.saveTo
+    });
+  }
+
+  // Print the page to PDF and download it (or keep it in run history)
+  // Format: { type: "savePdf", paper?: "A4", landscape?: false, margin?: { top: "1cm", ... }, headerTemplate?, footerTemplate?, filename?: "invoices/{{invoiceId}}.pdf" }
+  async savePdf(step, tabId) {
+    const paper = this.resolvePaperSize(step);
+    const margin = typeof step.margin === 'object' && step.margin !== null
+      ? step.margin
+      : { top: step.margin, right: step.margin, bottom: step.margin, left: step.margin };
+    const hasTemplates = !!(step.headerTemplate || step.footerTemplate);
+
+    const params = {
+      landscape: !!step.landscape,
+      printBackground: step.printBackground !== false,
+      scale: step.scale || 1,
+      paperWidth: paper.width,
+      paperHeight: paper.height,
+      marginTop: this.toInches(margin.top, 0.4),
+      marginRight: this.toInches(margin.right, 0.4),
+      marginBottom: this.toInches(margin.bottom, 0.4),
+      marginLeft: this.toInches(margin.left, 0.4),
+      displayHeaderFooter: step.displayHeaderFooter ?? hasTemplates,
+      // Chrome prints default header/footer when a template is empty; a blank span hides it
+      headerTemplate: step.headerTemplate || '<span></span>',
+      footerTemplate: step.footerTemplate || '<span></span>',
+      preferCSSPageSize: !!step.preferCSSPageSize
+    };
+    if (step.pageRanges) {
+      params.pageRanges = String(step.pageRanges);
+    }
+
+    let data;
+    try {
+      ({ data } = await this.background.sendDebuggerCommand(tabId, 'Page.printToPDF', params));
+    } catch (error) {
+      throw new Error(`Page.printToPDF failed: ${error.message}`);
+    }
+
+    console.log(`   🖨️ Printed PDF (${paper.name}, ${Math.round(data.length * 0.75 / 1024)} KB)`);
+
+    return this.saveArtifact({
+      kind: 'pdf',
+      name: step.name,
+      mimeType: 'application/pdf',
+      extension: 'pdf',
+      data,
+      filename: step.filename,
+      saveTo: step.saveTo || 'download'
+    });
+  }
+
+  // Paper size in inches from a name (A4, Letter, ...) or explicit width/height
+  resolvePaperSize(step) {
+    const sizes = {
+      letter: { width: 8.5, height: 11 },
+      legal: { width: 8.5, height: 14 },
+      tabloid: { width: 11, height: 17 },
+      ledger: { width: 17, height: 11 },
+      a3: { width: 11.69, height: 16.54 },
+      a4: { width: 8.27, height: 11.69 },
+      a5: { width: 5.83, height: 8.27 },
+      a6: { width: 4.13, height: 5.83 }
+    };
+
+    if (step.width || step.height) {
+      return {
+        name: 'custom',
+        width: this.toInches(step.width, 8.5),
+        height: this.toInches(step.height, 11)
+      };
+    }
+
+    const name = String(step.paper || step.format || 'Letter');
+    const size = sizes[name.toLowerCase()];
+    if (!size) {
+      throw new Error(`Unknown paper size: ${name}`);
+    }
+    return { name, ...size };
+  }
+
+  // Convert "1cm", "10mm", "96px", "0.5in" or a number (inches) to inches
+  toInches(value, fallback) {
+    if (value === undefined || value === null || value === '') {
+      return fallback;
+    }
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    const match = String(value).trim().match(/^(-?[\d.]+)\s*(in|cm|mm|px|pt)?$/i);
+    if (!match) {
+      throw new Error(`Invalid length: ${value}`);
+    }
+
+    const amount = parseFloat(match[1]);
+    const unitsPerInch = { in: 1, cm: 2.54, mm: 25.4, px: 96, pt: 72 };
+    return amount / unitsPerInch[(match[2] || 'in').toLowerCase()];
+  }
+
+  // Screenshot the page when a step fails (script.screenshotOnFailure or the global setting)
+  async captureFailureScreenshot(step, tabId, error) {
+    const setting = this.currentExecution?.script?.screenshotOnFailure ?? this.settings?.screenshotOnFailure;
+    if (!setting || error.screenshotCaptured) {
+      return;
+    }
+
+    // Nested steps rethrow the same error; only capture once
+    error.screenshotCaptured = true;
+
+    try {
+      const artifact = await this.screenshot({
+        name: `failure-step-${(this.currentExecution?.currentStep ?? 0) + 1}-${step.type}`,
+        saveTo: typeof setting === 'string' ? setting : 'history'
+      }, tabId);
+      error.screenshot = artifact.filename || artifact.name;
+    } catch (captureError) {
+      console.warn(`   ⚠️ Failure screenshot could not be captured:`, captureError.message);
+    }
+  }
+
+  // Save captured data to the run record ("history"), the Downloads folder ("download") or both
+  async saveArtifact({ kind, name, mimeType, extension, data, filename, saveTo }) {
+    const target = saveTo || 'history';
+    const artifactName = name || `${kind}-${Date.now()}`;
+    const artifact = {
+      kind,
+      name: artifactName,
+      mimeType,
+      stepIndex: this.currentExecution?.currentStep ?? null,
+      timestamp: new Date().toISOString(),
+      savedTo: target
+    };
+
+    if (target === 'download' || target === 'both') {
+      artifact.filename = this.buildArtifactFilename(filename, artifactName, extension);
+      artifact.downloadId = await chrome.downloads.download({
+        url: `data:${mimeType};base64,${data}`,
+        filename: artifact.filename,
+        conflictAction: 'uniquify',
+        saveAs: false
+      });
+      console.log(`   💾 Downloaded ${kind}: ${artifact.filename}`);
+    }
+
+    // Blobs get their own storage key so reading runHistory never loads them; the record keeps the key
+    if ((target === 'history' || target === 'both') && this.currentExecution) {
+      const execution = this.currentExecution;
+      artifact.size = data.length;
+      if (data.length > MAX_HISTORY_ARTIFACT_SIZE) {
+        artifact.dropped = `larger than ${MAX_HISTORY_ARTIFACT_SIZE} base64 characters; use saveTo "download"`;
+        console.warn(`   ⚠️ ${kind} too large for run history (${data.length} characters), not stored`);
+      } else {
+        artifact.storageKey = `runArtifact:${execution.runId}:${execution.artifacts.length}`;
+        await chrome.storage.local.set({ [artifact.storageKey]: data });
+        console.log(`   🗂️ Stored ${kind} in run history: ${artifactName} (${artifact.storageKey})`);
+      }
+      execution.artifacts.push(artifact);
+    }
+
+    return artifact;
+  }
+
+  buildArtifactFilename(filename, name, extension) {
+    if (filename) {
+      return filename.endsWith(`.${extension}`) ? filename : `${filename}.${extension}`;
+    }
+
+    const title = (this.currentExecution?.script?.title || 'script')
+      .replace(/[^a-z0-9-_]+/gi, '-')
+      .replace(/^-+|-+$/g, '')
+      .toLowerCase();
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `choreograph/${title}-${name}-${stamp}.${extension}`;
+  }
+
+  // Persist a summary of this run (with history artifacts) in chrome.storage, newest first
+  async saveRunRecord(script, status, error, assertions) {
+    const execution = this.currentExecution;
+    if (!execution || execution.script !== script) {
+      return;
+    }
+
+    try {
+      const record = {
+        id: execution.runId,
+        scriptId: script.id || null,
+        scriptTitle: script.title || null,
+        status,
+        error: error ? {
+          message: error.message,
+          stepIndex: execution.currentStep,
+          screenshot: error.screenshot || null,
+          pageErrors: this.getPageErrorsNearStep(execution.currentStep)
+        } : null,
+        startTime: new Date(execution.startTime).toISOString(),
+        endTime: new Date().toISOString(),
+        assertions: assertions || null,
+        artifacts: execution.artifacts,
+        dialogs: execution.dialogs,
+        pageLogs: execution.pageLogs
+      };
+
+      const { runHistory = [] } = await chrome.storage.local.get(['runHistory']);
+      runHistory.unshift(record);
+      await chrome.storage.local.set({ runHistory: runHistory.slice(0, MAX_RUN_HISTORY) });
+
+      // Records that fall out of the history take their artifact blobs with them
+      const expiredKeys = runHistory.slice(MAX_RUN_HISTORY)
+        .flatMap(run => (run.artifacts || []).map(a => a.storageKey))
+        .filter(Boolean);
+      if (expiredKeys.length) {
+        await chrome.storage.local.remove(expiredKeys);
+      }
+      console.log(`   🗂️ Run record saved: ${record.id} (${status}, ${record.artifacts.length} artifact(s))`);
+    } catch (saveError) {
+      console.warn('   ⚠️ Could not save run record:', saveError.message);
+    }
+  }
+
+  // recordHar: true | "history" | "download" | "both" | { saveTo, includeBodies: false, maxBodySize: 100000 }
+  createHarRecorder(setting) {
+    if (!setting) {
+      return null;
+    }
+
+    const options = typeof setting === 'object' ? setting : { saveTo: setting === true ? 'history' : setting };
+    console.log(`   📡 Recording network traffic as HAR (${options.saveTo || 'history'}${options.includeBodies ? ', with bodies' : ''})`);
+    return {
+      saveTo: options.saveTo || 'history',
+      includeBodies: !!options.includeBodies,
+      maxBodySize: options.maxBodySize ?? 100000,
+      startedDateTime: new Date().toISOString(),
+      pending: new Map(),
+      entries: []
+    };
+  }
+
+  recordHarEvent(tabId, method, params) {
+    const recorder = this.harRecorder;
+    const key = `${tabId}:${params.requestId}`;
+    const entry = recorder.pending.get(key);
+
+    switch (method) {
+      case 'Network.requestWillBeSent':
+        // Redirects reuse the requestId: close the previous hop with its redirect response
+        if (entry && params.redirectResponse) {
+          entry.response = params.redirectResponse;
+          entry.endTimestamp = params.timestamp;
+          recorder.entries.push(entry);
+        }
+        recorder.pending.set(key, {
+          tabId,
+          requestId: params.requestId,
+          request: params.request,
+          resourceType: params.type,
+          wallTime: params.wallTime,
+          timestamp: params.timestamp
+        });
+        break;
+
+      case 'Network.responseReceived':
+        if (entry) {
+          entry.response = params.response;
+          entry.resourceType = params.type || entry.resourceType;
+        }
+        break;
+
+      case 'Network.loadingFinished':
+      case 'Network.loadingFailed':
+        if (!entry) break;
+        recorder.pending.delete(key);
+        entry.endTimestamp = params.timestamp;
+        entry.encodedDataLength = params.encodedDataLength;
+        entry.errorText = params.errorText;
+        // Bodies have to be read before the page drops them, so fetch them now and await at the end
+        if (recorder.includeBodies && method === 'Network.loadingFinished') {
+          entry.body = this.background.sendEventCommand(tabId, 'Network.getResponseBody', { requestId: params.requestId })
+            .catch(() => null);
+        }
+        recorder.entries.push(entry);
+        break;
+    }
+  }
+
+  // Assemble the HAR 1.2 log and save it like other artifacts (run history and/or downloads)
+  async finishHarRecording() {
+    const recorder = this.harRecorder;
+    if (!recorder) {
+      return null;
+    }
+    this.harRecorder = null;
+
+    try {
+      // Requests still in flight are kept without a response
+      const records = [...recorder.entries, ...recorder.pending.values()];
+      const entries = [];
+      for (const record of records) {
+        entries.push(this.buildHarEntry(record, await record.body, recorder.maxBodySize));
+      }
+      entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+
+      const script = this.currentExecution?.script || {};
+      const har = {
+        log: {
+          version: '1.2',
+          creator: { name: 'Choreograph', version: chrome.runtime.getManifest().version },
+          pages: [{
+            startedDateTime: recorder.startedDateTime,
+            id: 'run',
+            title: script.title || 'Script run',
+            pageTimings: {}
+          }],
+          entries
+        }
+      };
+
+      console.log(`   📡 Captured ${entries.length} request(s) in HAR`);
+      const artifact = { kind: 'har', name: 'network', mimeType: 'application/json', extension: 'har' };
+      const data = this.encodeBase64(JSON.stringify(har));
+
+      // A HAR with bodies can outgrow run history: download it whole, keep a copy without bodies
+      if (recorder.saveTo !== 'download' && data.length > MAX_HISTORY_ARTIFACT_SIZE) {
+        console.warn(`   ⚠️ HAR too large for run history, dropping response bodies from the history copy`);
+        if (recorder.saveTo === 'both') {
+          await this.saveArtifact({ ...artifact, data, saveTo: 'download' });
+        }
+        for (const entry of entries) {
+          if (entry.response.content.text !== undefined) {
+            delete entry.response.content.text;
+            delete entry.response.content.encoding;
+            entry.response.content.comment = 'Body dropped to fit run history';
+          }
+        }
+        return await this.saveArtifact({ ...artifact, data: this.encodeBase64(JSON.stringify(har)), saveTo: 'history' });
+      }
+
+      return await this.saveArtifact({ ...artifact, data, saveTo: recorder.saveTo });
+    } catch (error) {
+      console.warn('   ⚠️ Could not save HAR:', error.message);
+      return null;
+    }
+  }
+
+  buildHarEntry(record, body, maxBodySize) {
+    const { request, response } = record;
+    const toHeaders = (headers = {}) => Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+    const queryString = [];
+    try {
+      new URL(request.url).searchParams.forEach((value, name) => queryString.push({ name, value }));
+    } catch (error) {
+      // data: and other opaque URLs have no query string
+    }
+
+    const content = {
+      size: record.encodedDataLength ?? 0,
+      mimeType: response?.mimeType || 'x-unknown'
+    };
+    if (body && body.body !== undefined) {
+      content.size = body.base64Encoded ? Math.floor(body.body.length * 3 / 4) : body.body.length;
+      if (body.body.length <= maxBodySize) {
+        content.text = body.body;
+        if (body.base64Encoded) content.encoding = 'base64';
+      } else {
+        content.comment = `Body omitted: ${body.body.length} characters exceeds maxBodySize ${maxBodySize}`;
+      }
+    }
+
+    const timings = this.buildHarTimings(record);
+    const entry = {
+      pageref: 'run',
+      startedDateTime: new Date((record.wallTime || Date.now() / 1000) * 1000).toISOString(),
+      // ssl is already part of connect
+      time: ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+        .map(phase => timings[phase])
+        .filter(value => value > 0)
+        .reduce((sum, value) => sum + value, 0),
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: response?.protocol || 'HTTP/1.1',
+        cookies: [],
+        headers: toHeaders(request.headers),
+        queryString,
+        headersSize: -1,
+        bodySize: request.postData ? request.postData.length : 0
+      },
+      response: {
+        status: response?.status || 0,
+        statusText: response?.statusText || record.errorText || '',
+        httpVersion: response?.protocol || 'HTTP/1.1',
+        cookies: [],
+        headers: toHeaders(response?.headers),
+        content,
+        redirectURL: response?.headers?.location || response?.headers?.Location || '',
+        headersSize: -1,
+        bodySize: record.encodedDataLength ?? -1
+      },
+      cache: {},
+      timings,
+      _resourceType: record.resourceType,
+      _tabId: record.tabId
+    };
+
+    if (request.postData) {
+      entry.request.postData = { mimeType: request.headers?.['Content-Type'] || request.headers?.['content-type'] || '', text: request.postData };
+    }
+    if (response?.remoteIPAddress) {
+      entry.serverIPAddress = response.remoteIPAddress;
+    }
+    if (record.errorText) {
+      entry._error = record.errorText;
+    }
+    return entry;
+  }
+
+  // HAR timings in ms from the CDP ResourceTiming (-1 where a phase did not happen)
+  buildHarTimings(record) {
+    const timing = record.response?.timing;
+    const total = record.endTimestamp ? (record.endTimestamp - record.timestamp) * 1000 : -1;
+    if (!timing) {
+      return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(total, 0), receive: 0 };
+    }
 
-    await this.background.sendDebuggerCommand(tabId, 'Runtime.evaluate', {
-      expression: `(function() {
-        const el = document.querySelector('${safeSelector}');
-        if (el) {
-          const active = document.activeElement;
-          if (active && active !== document.body && active !== el && typeof active.blur === 'function') {
-            try { active.blur(); } catch (err) {}
-          }
-          if (typeof el.click === 'function') {
-            try { el.click(); } catch (err) {}
-          }
-          try { el.focus({ preventScroll: true }); } catch (err) { el.focus(); }
+    const span = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+    const firstPhase = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0) ?? 0;
+    const loadEnd = record.endTimestamp ? (record.endTimestamp - timing.requestTime) * 1000 : timing.receiveHeadersEnd;
 
-          // Handle both regular inputs and contenteditable divs
-          const isContentEditable = el.contentEditable === 'true' || el.getAttribute('contenteditable') === 'true';
-          const tagName = el.tagName.toLowerCase();
+    return {
+      blocked: firstPhase,
+      dns: span(timing.dnsStart, timing.dnsEnd),
+      connect: span(timing.connectStart, timing.connectEnd),
+      ssl: span(timing.sslStart, timing.sslEnd),
+      send: Math.max(span(timing.sendStart, timing.sendEnd), 0),
+      wait: Math.max(span(timing.sendEnd, timing.receiveHeadersEnd), 0),
+      receive: Math.max(loadEnd - timing.receiveHeadersEnd, 0)
+    };
+  }
 
-          if (isContentEditable || tagName === 'div' || tagName === 'p' || tagName === 'span') {
-            el.textContent = ${valueExpression};
-            el.innerText = ${valueExpression};
-          } else {
-            el.value = ${valueExpression};
-          }
+  // Keep console output and uncaught exceptions with the step that was running when they happened
+  recordPageLog(tabId, method, params) {
+    const execution = this.currentExecution;
+    const isException = method === 'Runtime.exceptionThrown';
+    let entry;
+
+    if (isException) {
+      const details = params.exceptionDetails || {};
+      entry = {
+        kind: 'exception',
+        level: 'error',
+        text: details.exception?.description || details.text || 'Uncaught exception',
+        url: details.url || null,
+        line: details.lineNumber ?? null,
+        column: details.columnNumber ?? null
+      };
+    } else {
+      const frame = params.stackTrace?.callFrames?.[0];
+      entry = {
+        kind: 'console',
+        level: params.type,
+        text: (params.args || []).map(arg => this.formatRemoteObject(arg)).join(' '),
+        url: frame?.url || null,
+        line: frame?.lineNumber ?? null,
+        column: frame?.columnNumber ?? null
+      };
+    }
 
-          el.dispatchEvent(new Event('input', { bubbles: true }));
-          el.dispatchEvent(new Event('change', { bubbles: true }));
-          return true;
-        }
-        return false;
-      })()`
+    Object.assign(entry, {
+      tabId,
+      stepIndex: execution.currentStep,
+      stepType: execution.currentStepType || null,
+      timestamp: new Date().toISOString()
     });
 
-    console.log(`   ⌨️ Debugger API: Changed input value using selector: ${selector}`);
+    if (execution.pageLogs.length < MAX_PAGE_LOG_ENTRIES) {
+      execution.pageLogs.push(entry);
+    }
 
-    const focusConfirmed = await this.focusElementBySelector(tabId, selector);
-    if (focusConfirmed) {
-      this.lastFocusedSelector = selector;
+    if (isException) {
+      console.warn(`   🐞 Page error during step ${entry.stepIndex + 1} (${entry.stepType}): ${entry.text.split('\n')[0]}`);
+      if (execution.script.failOnPageError && !this.pendingPageError) {
+        this.pendingPageError = entry;
+      }
+    } else if (entry.level === 'error' || entry.level === 'assert') {
+      console.warn(`   🐞 Page console.${entry.level} during step ${entry.stepIndex + 1}: ${entry.text}`);
+    }
+  }
+
+  formatRemoteObject(arg) {
+    if (arg.value !== undefined) {
+      return typeof arg.value === 'string' ? arg.value : JSON.stringify(arg.value);
+    }
+    return arg.unserializableValue || arg.description || arg.type;
+  }
+
+  // With script.failOnPageError, an uncaught page exception fails the step it happened in
+  throwPendingPageError(step) {
+    const pageError = this.pendingPageError;
+    if (!pageError) {
+      return;
     }
+
+    this.pendingPageError = null;
+    const error = new Error(`Uncaught page error during ${step.type}: ${pageError.text.split('\n')[0]}`);
+    error.pageError = pageError;
+    // The step itself finished, so a retry would repeat its input
+    error.noRetry = NON_IDEMPOTENT_STEPS.has(step.type);
+    throw error;
+  }
+
+  // Errors logged by the page during the failing step and the one before it
+  getPageErrorsNearStep(stepIndex) {
+    const logs = this.currentExecution?.pageLogs || [];
+    return logs.filter(entry => entry.level === 'error' && entry.stepIndex >= stepIndex - 1 && entry.stepIndex <= stepIndex);
   }
 
   async scroll(step, tabId) {
@@ -1486,9 +4261,9 @@ class ScriptExecutor {
     });
   }
 
-  async waitForElement(step, tabId, timeout = 30000) {
+  async waitForElement(step, tabId) {
     const startTime = Date.now();
-    const timeoutMs = step.timeout || timeout;
+    const timeoutMs = this.getDefaultTimeout(step);
 
     console.log(`   ⏳ Waiting for element (timeout: ${timeoutMs}ms, visible: ${step.visible || false})...`);
 
@@ -1498,7 +4273,7 @@ class ScriptExecutor {
       if (element) {
         // Check visibility if required
         if (step.visible) {
-          const isVisible = await this.isElementVisible(element.selector, tabId);
+          const isVisible = await this.isElementVisible(element.selector, tabId, element.frameId);
           if (isVisible) {
             console.log(`   ✓ Element found and visible`);
             return element;
@@ -1515,8 +4290,9 @@ class ScriptExecutor {
     throw new Error(`Element wait timeout after ${timeoutMs}ms`);
   }
 
-  async waitForExpression(step, tabId, timeout = 30000) {
+  async waitForExpression(step, tabId) {
     const startTime = Date.now();
+    const timeout = this.getDefaultTimeout(step);
 
     while (Date.now() - startTime < timeout) {
       const result = await this.background.sendDebuggerCommand(tabId, 'Runtime.evaluate', {
@@ -1531,7 +4307,122 @@ class ScriptExecutor {
       await this.wait(100);
     }
 
-    throw new Error('Expression wait timeout');
+    throw new Error(`Expression wait timeout after ${timeout}ms`);
+  }
+
+  // In-flight requests per tab, kept up to date from Network events
+  trackNetworkActivity(tabId, method, params) {
+    // A new main document cancels the old one's requests, which do not always report loadingFailed
+    if (method === 'Page.frameNavigated') {
+      const activity = this.networkActivity.get(tabId);
+      if (activity && !params.frame.parentId) {
+        for (const [requestId, request] of activity.inflight) {
+          if (request.loaderId !== params.frame.loaderId) {
+            activity.inflight.delete(requestId);
+          }
+        }
+        activity.lastChange = Date.now();
+      }
+      return;
+    }
+
+    if (!this.networkActivity.has(tabId)) {
+      this.networkActivity.set(tabId, { inflight: new Map(), lastChange: Date.now() });
+    }
+    const activity = this.networkActivity.get(tabId);
+
+    if (method === 'Network.requestWillBeSent') {
+      activity.inflight.set(params.requestId, { url: params.request.url, method: params.request.method, loaderId: params.loaderId });
+      activity.lastChange = Date.now();
+    } else if (method === 'Network.loadingFinished' || method === 'Network.loadingFailed') {
+      if (activity.inflight.delete(params.requestId)) {
+        activity.lastChange = Date.now();
+      }
+    }
+  }
+
+  // Format: { type: "waitForNetworkIdle", idleTime?: 500, maxInflight?: 0, timeout?: 30000 }
+  async waitForNetworkIdle(step, tabId) {
+    const timeout = this.getDefaultTimeout(step);
+    const idleTime = step.idleTime ?? 500;
+    const maxInflight = step.maxInflight ?? 0;
+    const startTime = Date.now();
+
+    console.log(`   ⏳ Waiting for network idle (${idleTime}ms with <= ${maxInflight} request(s) in flight)...`);
+
+    while (Date.now() - startTime < timeout) {
+      const activity = this.networkActivity.get(tabId);
+      const inflight = activity ? activity.inflight.size : 0;
+      const quietFor = Date.now() - Math.max(activity ? activity.lastChange : 0, startTime);
+
+      if (inflight <= maxInflight && quietFor >= idleTime) {
+        console.log(`   ✓ Network idle after ${Date.now() - startTime}ms`);
+        return { waited: Date.now() - startTime };
+      }
+
+      await this.wait(50);
+    }
+
+    const pending = Array.from(this.networkActivity.get(tabId)?.inflight.values() || []).map(request => request.url);
+    throw new Error(`Network not idle after ${timeout}ms (${pending.length} in flight: ${pending.slice(0, 3).join(', ')})`);
+  }
+
+  // Format: { type: "waitForResponse", urlPattern, status?: 200 | [200, 201], method?, selectors? (clicked to trigger it),
+  //           captureBody?: false, timeout?, storeAs?, outputPath? }
+  // With captureBody the step result is the response body (parsed when JSON), otherwise { url, status, method, mimeType }
+  async waitForResponse(step, tabId) {
+    const timeout = this.getDefaultTimeout(step);
+    const urlMatcher = this.buildPatternMatcher(step.urlPattern || step.url);
+    const statuses = step.status === undefined ? null : [].concat(step.status).map(Number);
+    const requestMethod = (requestId) => this.networkActivity.get(tabId)?.inflight.get(requestId)?.method || null;
+
+    // Arm before triggering so a fast response is not missed
+    const received = this.waitForDebuggerEvent(tabId, 'Network.responseReceived', timeout, params => {
+      const { response } = params;
+      if (urlMatcher && !urlMatcher(response.url)) return false;
+      if (statuses && !statuses.includes(response.status)) return false;
+      if (step.method && requestMethod(params.requestId) !== step.method.toUpperCase()) return false;
+      return true;
+    });
+
+    if (step.selectors && step.selectors.length) {
+      console.log(`   🌐 Clicking to trigger request...`);
+      await this.click(step, tabId);
+    }
+
+    const params = await received;
+    if (!params) {
+      throw new Error(`No response matching ${step.urlPattern || step.url || 'any URL'}${statuses ? ` with status ${statuses.join('/')}` : ''} within ${timeout}ms`);
+    }
+
+    const { response, requestId } = params;
+    console.log(`   🌐 Response ${response.status} ${response.url}`);
+
+    if (!step.captureBody) {
+      return { url: response.url, status: response.status, method: requestMethod(requestId), mimeType: response.mimeType };
+    }
+
+    return this.getResponseBody(tabId, requestId, response.mimeType, timeout);
+  }
+
+  // The body is only available once loading finished
+  async getResponseBody(tabId, requestId, mimeType, timeout) {
+    const activity = this.networkActivity.get(tabId);
+    if (activity && activity.inflight.has(requestId)) {
+      await this.waitForDebuggerEvent(tabId, 'Network.loadingFinished', timeout, params => params.requestId === requestId);
+    }
+
+    const { body, base64Encoded } = await this.background.sendDebuggerCommand(tabId, 'Network.getResponseBody', { requestId });
+    const text = base64Encoded ? new TextDecoder().decode(Uint8Array.from(atob(body), c => c.charCodeAt(0))) : body;
+
+    if (/json/i.test(mimeType || '') || /^\s*[[{]/.test(text)) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        console.warn(`   ⚠️ Response body is not valid JSON, keeping text`);
+      }
+    }
+    return text;
   }
 
   async findElement(step, tabId) {
@@ -1541,12 +4432,319 @@ class ScriptExecutor {
       throw new Error('Element not found');
     }
 
-    // Store element reference in variables
-    if (step.storeAs) {
-      this.variables[step.storeAs] = element;
+    // Element reference is stored in variables via storeAs by recordStepResult
+    return element;
+  }
+
+  // Read text, an attribute or an input value from one element
+  // Format: { type: "extractText", selectors: [...], fields?: {...}, storeAs?: "name", outputPath?: "$.x" }
+  async extractElementData(step, tabId) {
+    if (step.type === 'extractAttribute' && !step.attribute) {
+      throw new Error('extractAttribute requires an "attribute" property');
     }
 
-    return element;
+    const element = await this.getElement(step.selectors, tabId);
+    if (!element) {
+      if (step.optional) {
+        console.log(`   ⏭️ Element not found, storing default value for optional ${step.type}`);
+        return step.default ?? null;
+      }
+      throw new Error(`Element not found for ${step.type} action`);
+    }
+
+    const options = {
+      attribute: step.type === 'extractAttribute' ? step.attribute : undefined,
+      mode: step.type === 'extractValue' ? 'value' : (step.mode || 'text'),
+      fields: step.fields,
+      trim: step.trim
+    };
+
+    const value = await this.requestExtraction(tabId, element.selector, options, element.frameId);
+    console.log(`   📋 Extracted ${step.type === 'extractAttribute' ? step.attribute : options.mode}:`, value);
+    this.warnIfResultUnused(step);
+
+    return value;
+  }
+
+  // Read every item matching itemSelector (inside an optional container) into an array
+  // Format: { type: "extractList", selectors?: [...], itemSelector: "div[role='row']", fields: {...}, limit?: 50 }
+  async extractList(step, tabId) {
+    if (!step.itemSelector) {
+      throw new Error('extractList requires an "itemSelector" property');
+    }
+
+    let containerSelector = null;
+    let frameId;
+    if (step.selectors && step.selectors.length) {
+      const container = await this.getElement(step.selectors, tabId);
+      if (!container) {
+        throw new Error('Container element not found for extractList action');
+      }
+      containerSelector = container.selector;
+      frameId = container.frameId;
+    } else {
+      frameId = (await this.resolveFrame(tabId, this.currentFrame)).frameId;
+    }
+
+    const items = await this.requestExtraction(tabId, containerSelector, {
+      list: true,
+      itemSelector: step.itemSelector,
+      fields: step.fields,
+      mode: step.mode || 'text',
+      attribute: step.attribute,
+      limit: step.limit,
+      trim: step.trim
+    }, frameId);
+
+    console.log(`   📋 Extracted ${items.length} item(s) using: ${step.itemSelector}`);
+    this.warnIfResultUnused(step);
+
+    return items;
+  }
+
+  // Scrape a <table> or ARIA grid into row objects, following a "next" control across pages
+  // Format: { type: "extractTable", selectors: [...], columns?: { "Header": "key" }, pagination?: { nextSelector, maxPages, waitMs } }
+  async extractTable(step, tabId) {
+    const pagination = step.pagination || null;
+    const maxPages = pagination ? (pagination.maxPages || 10) : 1;
+    const rows = [];
+    let previousPage = null;
+
+    for (let page = 1; page <= maxPages; page++) {
+      // Resolve the table again on every page: the next control usually re-renders or replaces it
+      const table = await this.readTablePage(step, tabId, previousPage, pagination);
+      if (!table) {
+        if (page > 1) {
+          console.warn(`   ⚠️ Table did not change after following pagination, stopping at page ${page - 1}`);
+          break;
+        }
+        console.log('   ⏭️ Table not found, storing empty rows for optional extractTable');
+        return [];
+      }
+
+      rows.push(...table.rows);
+      previousPage = JSON.stringify(table.rows);
+      console.log(`   📊 Page ${page}: ${table.rows.length} row(s) [${table.headers.join(', ')}]`);
+
+      if (step.limit && rows.length >= step.limit) {
+        break;
+      }
+
+      if (!pagination || !table.hasNext || page === maxPages) {
+        break;
+      }
+
+      console.log(`   ➡️ Following pagination control: ${pagination.nextSelector}`);
+      await this.click({ selectors: [[pagination.nextSelector]] }, tabId);
+      await this.wait(pagination.waitMs || 1000);
+    }
+
+    const result = step.limit ? rows.slice(0, step.limit) : rows;
+    console.log(`   📋 Extracted ${result.length} table row(s)`);
+    this.warnIfResultUnused(step);
+
+    return result;
+  }
+
+  // Read one page of an extractTable step. After a page turn (previousPage set) this polls until the
+  // rows differ from the previous page, and returns null if they never do within pagination.timeout
+  async readTablePage(step, tabId, previousPage, pagination) {
+    const deadline = Date.now() + (pagination?.timeout ?? 5000);
+
+    while (true) {
+      let tableSelector = null;
+      let frameId;
+      if (step.selectors && step.selectors.length) {
+        const element = await this.getElement(step.selectors, tabId);
+        if (!element) {
+          if (previousPage === null && !step.optional) {
+            throw new Error('Table element not found for extractTable action');
+          }
+          return null;
+        }
+        tableSelector = element.selector;
+        frameId = element.frameId;
+      } else {
+        frameId = (await this.resolveFrame(tabId, this.currentFrame)).frameId;
+      }
+
+      const response = await this.sendToContent(tabId, {
+        type: 'EXTRACT_TABLE',
+        selector: tableSelector,
+        options: {
+          headers: step.headers,
+          hasHeader: step.hasHeader,
+          columns: step.columns,
+          cellAttribute: step.cellAttribute,
+          includeEmptyRows: step.includeEmptyRows,
+          nextSelector: pagination?.nextSelector
+        }
+      }, frameId);
+
+      if (!response || !response.success || !response.result?.success) {
+        throw new Error(response?.result?.error || response?.error || 'Table extraction failed');
+      }
+
+      if (previousPage === null || JSON.stringify(response.result.rows) !== previousPage) {
+        return response.result;
+      }
+
+      if (Date.now() >= deadline) {
+        return null;
+      }
+      await this.wait(250);
+    }
+  }
+
+  async requestExtraction(tabId, selector, options, frameId = 0) {
+    const response = await this.sendToContent(tabId, {
+      type: 'EXTRACT_DATA',
+      selector,
+      options
+    }, frameId);
+
+    if (!response || !response.success || !response.result?.success) {
+      throw new Error(response?.result?.error || response?.error || 'Data extraction failed');
+    }
+
+    return response.result.value;
+  }
+
+  warnIfResultUnused(step) {
+    if (!step.storeAs && !step.outputPath) {
+      console.warn(`   ⚠️ ${step.type} has no "storeAs" or "outputPath", extracted data will be discarded`);
+    }
+  }
+
+  // Check page state and record the result. Hard assertions (default) throw immediately;
+  // soft ones (step.soft or script.assertionMode === "soft") are reported when the run ends.
+  async assert(step, tabId) {
+    const { actual, expected, operator } = await this.getAssertionValues(step, tabId);
+    const passed = this.compareAssertionValues(actual, expected, operator);
+    const soft = step.soft ?? (this.currentExecution?.script?.assertionMode === 'soft');
+
+    const record = {
+      type: step.type,
+      stepIndex: this.currentExecution?.currentStep,
+      description: step.comment || step.message || null,
+      operator,
+      expected,
+      actual,
+      passed,
+      soft,
+      timestamp: new Date().toISOString()
+    };
+    this.assertions.push(record);
+
+    const detail = `expected ${operator} ${JSON.stringify(expected)}, actual ${JSON.stringify(actual)}`;
+    if (passed) {
+      console.log(`   ✅ ${step.type} passed (${detail})`);
+    } else if (soft) {
+      console.warn(`   ⚠️ ${step.type} failed (soft, continuing): ${detail}`);
+    } else {
+      console.error(`   ❌ ${step.type} failed: ${detail}`);
+      const error = new Error(`Assertion failed: ${step.type} ${detail}`);
+      error.assertions = this.summarizeAssertions();
+      throw error;
+    }
+
+    return record;
+  }
+
+  async getAssertionValues(step, tabId) {
+    switch (step.type) {
+      case 'assertUrl': {
+        const tab = await chrome.tabs.get(tabId);
+        return { actual: tab.url, expected: step.expected ?? step.url, operator: step.operator || 'contains' };
+      }
+
+      case 'assertCount': {
+        const itemSelector = step.itemSelector || step.selector;
+        if (!itemSelector) {
+          throw new Error('assertCount requires an "itemSelector" property');
+        }
+        const { frameId } = await this.resolveFrame(tabId, this.currentFrame);
+        const items = await this.requestExtraction(tabId, null, { list: true, itemSelector }, frameId);
+        return { actual: items.length, expected: Number(step.expected ?? step.count), operator: step.operator || 'equals' };
+      }
+
+      case 'assertVisible': {
+        const element = await this.getElement(step.selectors, tabId);
+        const visible = element ? await this.isElementVisible(element.selector, tabId, element.frameId) : false;
+        return { actual: visible, expected: step.expected ?? step.visible ?? true, operator: 'equals' };
+      }
+
+      case 'handleDialog':
+        return { actual: step.dialogMessage, expected: step.expected ?? step.text, operator: step.operator || 'contains' };
+
+      case 'assertText':
+      case 'assertValue': {
+        const element = await this.getElement(step.selectors, tabId);
+        const actual = element
+          ? await this.requestExtraction(tabId, element.selector, { mode: step.type === 'assertValue' ? 'value' : 'text' }, element.frameId)
+          : null;
+        return {
+          actual,
+          expected: step.expected ?? step.value ?? step.text,
+          operator: step.operator || (step.type === 'assertText' ? 'contains' : 'equals')
+        };
+      }
+
+      default:
+        throw new Error(`Unknown assertion type: ${step.type}`);
+    }
+  }
+
+  compareAssertionValues(actual, expected, operator) {
+    if (actual === null || actual === undefined) {
+      return operator === 'notExists';
+    }
+
+    switch (operator) {
+      case 'equals':
+        return typeof expected === 'boolean' || typeof expected === 'number'
+          ? actual === expected
+          : String(actual) === String(expected);
+      case 'notEquals':
+        return String(actual) !== String(expected);
+      case 'contains':
+        return String(actual).includes(String(expected));
+      case 'notContains':
+        return !String(actual).includes(String(expected));
+      case 'matches':
+        return new RegExp(expected).test(String(actual));
+      case 'gt':
+        return Number(actual) > Number(expected);
+      case 'gte':
+        return Number(actual) >= Number(expected);
+      case 'lt':
+        return Number(actual) < Number(expected);
+      case 'lte':
+        return Number(actual) <= Number(expected);
+      case 'notExists':
+        return false;
+      default:
+        throw new Error(`Unknown assertion operator: ${operator}`);
+    }
+  }
+
+  summarizeAssertions() {
+    // Failures caught by tryCatch/onError are counted as handled, never as passed
+    const passed = this.assertions.filter(a => a.passed).length;
+    const handled = this.assertions.filter(a => !a.passed && a.handled).length;
+    const failed = this.assertions.filter(a => !a.passed && !a.handled);
+
+    if (this.assertions.length > 0) {
+      console.log(`   📋 Assertions: ${passed} passed, ${failed.length} failed${handled ? `, ${handled} handled` : ''}`);
+    }
+
+    return {
+      total: this.assertions.length,
+      passed,
+      failed: failed.length,
+      handled,
+      results: this.assertions
+    };
   }
 
   async gotoElement(step, tabId) {
@@ -1566,13 +4764,13 @@ class ScriptExecutor {
     if (!selector) {
       throw new Error('No selector available for goto action');
     }
-    const safeSelector = this.escapeSelectorForEval(selector);
+    const elementExpression = this.buildElementExpression(selector);
 
     // Scroll element into view
     await this.background.sendDebuggerCommand(tabId, 'Runtime.evaluate', {
       expression: `
         (function() {
-          const el = document.querySelector('${safeSelector}');
+          const el = ${elementExpression};
           if (el) {
             el.scrollIntoView({ behavior: '${step.smooth ? 'smooth' : 'auto'}', block: 'center' });
           }
@@ -1642,55 +4840,267 @@ class ScriptExecutor {
     return false;
   }
 
+  // Selectors may target iframes with "frame=<iframe selector> >>> <element selector>" (chainable),
+  // relative to the frame chosen by switchFrame (top document by default)
   async getElement(selectors, tabId) {
     if (!selectors || selectors.length === 0) {
       return null;
     }
 
+    for (const group of this.groupSelectorsByFrame(selectors)) {
+      let frame;
+      try {
+        frame = await this.resolveFrame(tabId, group.framePath);
+      } catch (error) {
+        console.log(`   ❌ ${error.message}`);
+        continue;
+      }
+
+      const element = await this.findElementInFrame(group.selectors, tabId, frame);
+      if (element) {
+        return element;
+      }
+    }
+
+    console.log(`   ❌ All ${selectors.length} selector(s) failed to find element`);
+    return null;
+  }
+
+  async findElementInFrame(selectors, tabId, frame) {
     // Use content script for DOM access instead of debugger API
     try {
-      const response = await chrome.tabs.sendMessage(tabId, {
+      const response = await this.sendToContent(tabId, {
         type: 'FIND_ELEMENT',
         selectors: selectors
-      });
+      }, frame.frameId);
 
       if (response && response.success && response.element && response.element.exists) {
         const elementInfo = response.element;
-        const selector = elementInfo.selector || elementInfo.optimizedSelector || (selectors && selectors[0] && selectors[0][0]);
+        const selector = elementInfo.selector || elementInfo.optimizedSelector || selectors[0];
         const attempts = Array.isArray(elementInfo.attempts) ? elementInfo.attempts : [];
         const sourceLabel = elementInfo.origin === 'generated' ? 'generated selector' : elementInfo.origin === 'unknown' ? 'heuristic selector' : 'provided selector';
-        console.log(`   ✓ Found element (${sourceLabel}): ${elementInfo.tagName}${elementInfo.id ? '#' + elementInfo.id : ''} using selector: ${selector}`);
+        const frameLabel = frame.frameId ? ` in frame ${frame.frameId}` : '';
+        console.log(`   ✓ Found element (${sourceLabel})${frameLabel}: ${elementInfo.tagName}${elementInfo.id ? '#' + elementInfo.id : ''} using selector: ${selector}`);
 
         return {
           selector,
+          frameId: frame.frameId,
+          frame,
           info: {
             ...elementInfo,
             attempts,
             selector
           }
         };
-      } else {
-        console.log(`   ❌ All ${selectors.length} selector(s) failed to find element`);
-        return null;
       }
+      return null;
     } catch (error) {
       console.error('   ❌ Error finding element via content script:', error);
       return null;
     }
   }
 
+  // Split "frame=a >>> frame=b >>> button" selectors into frame paths, keeping first-seen order
+  groupSelectorsByFrame(selectors) {
+    const flat = (Array.isArray(selectors) ? selectors.flat() : [selectors])
+      .filter(sel => typeof sel === 'string' && sel.trim().length > 0);
+    const groups = new Map();
+
+    for (const raw of flat) {
+      const parts = raw.split(/\s*>>>\s*/);
+      const framePath = [...this.currentFrame];
+      while (parts.length > 1 && /^frame=/i.test(parts[0])) {
+        framePath.push(parts.shift().slice(6).trim());
+      }
+      const selector = parts.join(' >>> ');
+
+      const key = framePath.join(' >>> ');
+      if (!groups.has(key)) {
+        groups.set(key, { framePath, selectors: [] });
+      }
+      groups.get(key).selectors.push(selector);
+    }
+
+    return Array.from(groups.values());
+  }
+
+  // Walk a chain of iframe selectors to a frameId and the frame's offset in top-level viewport coordinates.
+  // The iframe element itself identifies its frame: the parent's content script posts a token into it,
+  // and the child's content script reports that token back from its own frameId
+  async resolveFrame(tabId, framePath = []) {
+    let frame = { frameId: 0, offset: { x: 0, y: 0 }, path: [] };
+
+    for (const frameSelector of framePath) {
+      const deadline = Date.now() + FRAME_RESOLVE_TIMEOUT_MS;
+      let info = null;
+      let childFrameId = null;
+
+      // The child may still be loading (no content script yet), so ask again until the deadline
+      while (childFrameId === null && Date.now() < deadline) {
+        const token = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        const reply = this.waitForFrameToken(tabId, token, 500);
+        const response = await this.sendToContent(tabId, {
+          type: 'GET_FRAME_INFO',
+          selector: frameSelector,
+          token
+        }, frame.frameId);
+
+        info = response && response.success ? response.frame : null;
+        if (!info) {
+          this.resolveFrameToken(token, null);
+          throw new Error(`Frame not found: ${frameSelector}`);
+        }
+        childFrameId = await reply;
+      }
+
+      if (childFrameId === null) {
+        throw new Error(`Frame not loaded: ${frameSelector}`);
+      }
+
+      frame = {
+        frameId: childFrameId,
+        offset: { x: frame.offset.x + info.offset.x, y: frame.offset.y + info.offset.y },
+        path: [...frame.path, frameSelector]
+      };
+    }
+
+    return frame;
+  }
+
+  // Resolves with the frameId whose content script reports token (FRAME_TOKEN), or null after timeout
+  waitForFrameToken(tabId, token, timeout) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this.resolveFrameToken(token, null), timeout);
+      this.frameTokenWaiters.set(token, { tabId, resolve, timer });
+    });
+  }
+
+  resolveFrameToken(token, sender) {
+    const waiter = this.frameTokenWaiters.get(token);
+    if (!waiter || (sender && sender.tab?.id !== waiter.tabId)) {
+      return;
+    }
+    clearTimeout(waiter.timer);
+    this.frameTokenWaiters.delete(token);
+    waiter.resolve(sender ? sender.frameId : null);
+  }
+
+  // Format: { type: "switchFrame", selectors: [["iframe#pay"]] } | { type: "switchFrame", target: "main" | "parent" }
+  async switchFrame(step, tabId) {
+    if (step.target === 'main' || step.target === 'top') {
+      this.currentFrame = [];
+    } else if (step.target === 'parent') {
+      this.currentFrame = this.currentFrame.slice(0, -1);
+    } else {
+      const frameSelectors = this.groupSelectorsByFrame(step.selectors || []);
+      let resolved = null;
+
+      for (const group of frameSelectors) {
+        for (const selector of group.selectors) {
+          const candidatePath = [...group.framePath, selector];
+          try {
+            await this.resolveFrame(tabId, candidatePath);
+            resolved = candidatePath;
+            break;
+          } catch (error) {
+            console.log(`   ❌ ${error.message}`);
+          }
+        }
+        if (resolved) break;
+      }
+
+      if (!resolved) {
+        throw new Error('Frame not found for switchFrame action');
+      }
+      this.currentFrame = resolved;
+    }
+
+    console.log(`   🪟 Current frame: ${this.currentFrame.length ? this.currentFrame.join(' >>> ') : 'main document'}`);
+    return { framePath: [...this.currentFrame] };
+  }
+
+  // Content script messages go to one frame only (top document by default)
+  async sendToContent(tabId, message, frameId = 0) {
+    this.throwIfStepAborted();
+    return chrome.tabs.sendMessage(tabId, message, { frameId: frameId || 0 });
+  }
+
   escapeSelectorForEval(selector) {
     if (!selector) return '';
     return selector.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
   }
 
-  async isElementVisible(selector, tabId) {
+  // JS expression that evaluates to the element for selector, piercing shadow roots when needed
+  buildElementExpression(selector) {
+    const safeSelector = this.escapeSelectorForEval(selector);
+    return this.isDeepSelector(selector)
+      ? `(${DEEP_QUERY_FUNCTION})('${safeSelector}')`
+      : `document.querySelector('${safeSelector}')`;
+  }
+
+  // Runtime objectId of the element for selector, evaluated inside the element's frame
+  async resolveElementObject(tabId, selector, frame = null) {
+    const contextId = await this.resolveFrameContext(tabId, frame?.path || []);
+    const evaluation = await this.background.sendDebuggerCommand(tabId, 'Runtime.evaluate', {
+      expression: this.buildElementExpression(selector),
+      ...(contextId ? { contextId } : {})
+    });
+
+    const objectId = evaluation?.result?.objectId;
+    if (!objectId) {
+      throw new Error(`Element not found: ${selector}`);
+    }
+    return objectId;
+  }
+
+  // Walk a chain of iframe selectors to a debugger execution context inside the innermost frame.
+  // Each iframe element is asked for its own frameId, so the result never depends on frame order.
+  // Returns undefined for the top document (Runtime.evaluate's default context)
+  async resolveFrameContext(tabId, framePath = []) {
+    let contextId;
+
+    for (const frameSelector of framePath) {
+      const evaluation = await this.background.sendDebuggerCommand(tabId, 'Runtime.evaluate', {
+        expression: this.buildElementExpression(frameSelector),
+        ...(contextId ? { contextId } : {})
+      });
+      const objectId = evaluation?.result?.objectId;
+      if (!objectId) {
+        throw new Error(`Frame not found: ${frameSelector}`);
+      }
+
+      const { node } = await this.background.sendDebuggerCommand(tabId, 'DOM.describeNode', { objectId });
+      await this.background.sendDebuggerCommand(tabId, 'Runtime.releaseObject', { objectId }).catch(() => {});
+      if (!node || !node.frameId) {
+        throw new Error(`Not an iframe: ${frameSelector}`);
+      }
+
+      try {
+        const world = await this.background.sendDebuggerCommand(tabId, 'Page.createIsolatedWorld', {
+          frameId: node.frameId,
+          worldName: 'DeskAgent'
+        });
+        contextId = world.executionContextId;
+      } catch (error) {
+        // Cross-site iframes run in their own process, which this debugger session does not reach
+        throw new Error(`Frame ${frameSelector} is not reachable through the debugger (cross-site iframe?): ${error.message}`);
+      }
+    }
+
+    return contextId;
+  }
+
+  isDeepSelector(selector) {
+    return typeof selector === 'string' && (selector.includes('>>>') || /^pierce\//i.test(selector));
+  }
+
+  async isElementVisible(selector, tabId, frameId = 0) {
     // Use content script for visibility check
     try {
-      const response = await chrome.tabs.sendMessage(tabId, {
+      const response = await this.sendToContent(tabId, {
         type: 'CHECK_ELEMENT_VISIBLE',
         selector: selector
-      });
+      }, frameId);
 
       return response && response.success && response.visible === true;
     } catch (error) {
@@ -1699,8 +5109,21 @@ class ScriptExecutor {
     }
   }
 
+  // Sleep; rejects early when the step that started the wait times out
   wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    const signal = this.stepAbort?.signal;
+    this.throwIfStepAborted();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
@@ -3,6 +3,7 @@ class ConfigManager {
   constructor() {
     this.jsonScripts = [];
     this.jsScripts = [];
+    this.uploadFiles = [];
     this.settings = {};
     this.aiWorker = null;
     this.workerCallbacks = new Map();
@@ -24,6 +25,7 @@ class ConfigManager {
     // Render lists
     this.renderJsonScripts();
     this.renderJsScripts();
+    this.renderUploadFiles();
     this.loadSettings();
 
     // Initialize Task UI Manager
@@ -80,6 +82,11 @@ class ConfigManager {
       this.handleJsUpload(e.target.files);
     });
 
+    // Stored file upload (for uploadFile steps)
+    document.getElementById('uploadFileInput').addEventListener('change', (e) => {
+      this.handleFileAssetUpload(e.target.files);
+    });
+
     // Load NLP Model
     document.getElementById('loadModelBtn').addEventListener('click', () => {
       this.loadNLPModel();
@@ -195,6 +202,54 @@ class ConfigManager {
     }
   }
 
+  async handleFileAssetUpload(files) {
+    const statusEl = document.getElementById('uploadFileStatus');
+    const fileNameEl = document.getElementById('uploadFileName');
+
+    if (!files || files.length === 0) return;
+
+    try {
+      for (const file of files) {
+        const dataUrl = await this.readFileAsDataUrl(file);
+
+        this.uploadFiles.push({
+          id: this.generateId(),
+          name: file.name,
+          type: file.type || 'application/octet-stream',
+          size: file.size,
+          data: dataUrl.slice(dataUrl.indexOf(',') + 1), // base64 without data: prefix
+          uploadedAt: new Date().toISOString()
+        });
+      }
+
+      await this.saveUploadFiles();
+      this.renderUploadFiles();
+
+      statusEl.textContent = `Successfully stored ${files.length} file(s)`;
+      statusEl.className = 'status-message success';
+      statusEl.style.display = 'block';
+
+      fileNameEl.textContent = `${files.length} file(s) stored`;
+
+      setTimeout(() => {
+        statusEl.style.display = 'none';
+      }, 3000);
+    } catch (error) {
+      statusEl.textContent = `Error: ${error.message}`;
+      statusEl.className = 'status-message error';
+      statusEl.style.display = 'block';
+    }
+  }
+
+  readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = (e) => reject(new Error('Failed to read file'));
+      reader.readAsDataURL(file);
+    });
+  }
+
   readFile(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -277,6 +332,34 @@ class ConfigManager {
     });
   }
 
+  renderUploadFiles() {
+    const listEl = document.getElementById('uploadFileList');
+
+    if (this.uploadFiles.length === 0) {
+      listEl.innerHTML = '<div class="empty-state">No files stored yet</div>';
+      return;
+    }
+
+    listEl.innerHTML = this.uploadFiles.map(file => `
+      <div class="script-item" data-id="${file.id}">
+        <div class="script-info">
+          <div class="script-title">${this.escapeHtml(file.name)}</div>
+          <div class="script-description">
+            ${this.escapeHtml(file.type)} • ${Math.ceil(file.size / 1024)} KB •
+            Uploaded: ${new Date(file.uploadedAt).toLocaleDateString()}
+          </div>
+        </div>
+        <div class="script-actions">
+          <button class="btn btn-danger delete-btn" data-id="${file.id}">Delete</button>
+        </div>
+      </div>
+    `).join('');
+
+    listEl.querySelectorAll('.delete-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.deleteUploadFile(btn.dataset.id));
+    });
+  }
+
   async executeScript(scriptId) {
     try {
       const response = await chrome.runtime.sendMessage({
@@ -345,6 +428,15 @@ class ConfigManager {
     }
   }
 
+  async deleteUploadFile(fileId) {
+    const file = this.uploadFiles.find(f => f.id === fileId);
+    if (!file || !confirm(`Delete stored file "${file.name}"? Scripts that upload it will fail.`)) return;
+
+    this.uploadFiles = this.uploadFiles.filter(f => f.id !== fileId);
+    await this.saveUploadFiles();
+    this.renderUploadFiles();
+  }
+
   async loadNLPModel() {
     const btn = document.getElementById('loadModelBtn');
     const statusEl = document.getElementById('modelStatus');
@@ -467,6 +559,9 @@ class ConfigManager {
     document.getElementById('defaultTargetUrl').value = this.settings.defaultTargetUrl || '';
     document.getElementById('debugDelayEnabled').checked = this.settings.debugDelayEnabled || false;
     document.getElementById('debugDelaySeconds').value = this.settings.debugDelaySeconds || 5;
+    document.getElementById('screenshotOnFailure').checked = !!this.settings.screenshotOnFailure;
+    document.getElementById('screenshotOnFailureTarget').value =
+      typeof this.settings.screenshotOnFailure === 'string' ? this.settings.screenshotOnFailure : 'history';
 
     // Load clickable element settings with defaults
     const defaults = this.getClickableDefaults();
@@ -501,6 +596,9 @@ class ConfigManager {
       defaultTargetUrl: document.getElementById('defaultTargetUrl').value,
       debugDelayEnabled: document.getElementById('debugDelayEnabled').checked,
       debugDelaySeconds: parseInt(document.getElementById('debugDelaySeconds').value),
+      screenshotOnFailure: document.getElementById('screenshotOnFailure').checked
+        ? document.getElementById('screenshotOnFailureTarget').value
+        : false,
       clickableTags: document.getElementById('clickableTags').value,
       clickableRoles: document.getElementById('clickableRoles').value,
       clickableDataAttrs: document.getElementById('clickableDataAttrs').value,
@@ -509,21 +607,7 @@ class ConfigManager {
 
     await chrome.storage.local.set({ settings: this.settings });
 
-    // Notify content scripts to reload their configuration
-    try {
-      const tabs = await chrome.tabs.query({});
-      for (const tab of tabs) {
-        try {
-          await chrome.tabs.sendMessage(tab.id, {
-            type: 'RELOAD_CLICKABLE_CONFIG'
-          });
-        } catch (e) {
-          // Tab might not have content script, ignore
-        }
-      }
-    } catch (e) {
-      console.log('Could not notify tabs:', e);
-    }
+    // Content scripts in every frame pick up the change through chrome.storage.onChanged
 
     statusEl.textContent = 'Settings saved successfully';
     statusEl.className = 'status-message success';
@@ -539,21 +623,24 @@ class ConfigManager {
 
     this.jsonScripts = [];
     this.jsScripts = [];
+    this.uploadFiles = [];
     this.settings = {};
 
     await chrome.storage.local.clear();
 
     this.renderJsonScripts();
     this.renderJsScripts();
+    this.renderUploadFiles();
     this.loadSettings();
 
     alert('All data cleared');
   }
 
   async loadData() {
-    const result = await chrome.storage.local.get(['jsonScripts', 'jsScripts']);
+    const result = await chrome.storage.local.get(['jsonScripts', 'jsScripts', 'uploadFiles']);
     this.jsonScripts = result.jsonScripts || [];
     this.jsScripts = result.jsScripts || [];
+    this.uploadFiles = result.uploadFiles || [];
   }
 
   async saveData() {
@@ -563,6 +650,11 @@ class ConfigManager {
     });
   }
 
+  // Stored files are large base64 blobs, so they are only written when the file list changes
+  async saveUploadFiles() {
+    await chrome.storage.local.set({ uploadFiles: this.uploadFiles });
+  }
+
   generateId() {
     return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   }
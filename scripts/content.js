@@ -24,6 +24,21 @@ class DeskAgentContent {
       return true;
     });
 
+    // Reload clickable element configuration in every frame when settings are saved
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.settings) {
+        this.loadClickableConfig();
+      }
+    });
+
+    // The parent frame's content script posts a token into this frame so the background can learn
+    // which extension frameId belongs to that iframe element (see getFrameInfo)
+    window.addEventListener('message', (event) => {
+      if (event.source === window.parent && event.source !== window && event.data && event.data.deskAgentFrameToken) {
+        chrome.runtime.sendMessage({ type: 'FRAME_TOKEN', token: event.data.deskAgentFrameToken }).catch(() => {});
+      }
+    });
+
     // Notify background that content script is ready
     chrome.runtime.sendMessage({ type: 'CONTENT_READY' }).catch(() => {});
   }
@@ -95,10 +110,15 @@ class DeskAgentContent {
           break;
 
         case 'GET_ELEMENT_COORDINATES':
-          const coords = await this.getElementCoordinates(message.selector);
+          const coords = await this.getElementCoordinates(message.selector, message.options);
           sendResponse({ success: true, coordinates: coords });
           break;
 
+        case 'GET_FRAME_INFO':
+          const frameInfo = this.getFrameInfo(message.selector, message.token);
+          sendResponse({ success: !!frameInfo, frame: frameInfo });
+          break;
+
         case 'PRESS_KEY':
           const keyResult = await this.pressKey(message.selector, message.key);
           sendResponse({ success: true, result: keyResult });
@@ -114,9 +134,19 @@ class DeskAgentContent {
           sendResponse({ success: true, result: typeResult });
           break;
 
-        case 'RELOAD_CLICKABLE_CONFIG':
-          await this.loadClickableConfig();
-          sendResponse({ success: true });
+        case 'SET_CONTROL_VALUE':
+          const controlResult = await this.setControlValue(message.selector, message.value, message.options);
+          sendResponse({ success: true, result: controlResult });
+          break;
+
+        case 'EXTRACT_DATA':
+          const extracted = await this.extractData(message.selector, message.options);
+          sendResponse({ success: true, result: extracted });
+          break;
+
+        case 'EXTRACT_TABLE':
+          const table = await this.extractTable(message.selector, message.options);
+          sendResponse({ success: true, result: table });
           break;
 
         default:
@@ -188,7 +218,7 @@ class DeskAgentContent {
     }
 
     // Highlight target element
-    const element = document.querySelector(selector);
+    const element = this.queryElement(selector);
     if (element) {
       element.classList.add('deskagent-highlight');
       element.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -284,7 +314,10 @@ class DeskAgentContent {
     let element = null;
     switch (strategy) {
       case 'css':
-        element = this.safeQuerySelector(query);
+        element = query.includes('>>>') ? this.queryDeep(query) : this.safeQuerySelector(query);
+        break;
+      case 'pierce':
+        element = this.queryDeep(query);
         break;
       case 'xpath':
         element = this.queryXPath(query);
@@ -334,9 +367,9 @@ class DeskAgentContent {
       return { strategy: 'text', query: value };
     }
 
-    // Handle pierce (shadow DOM piercing) - treat as regular CSS for now
+    // Handle pierce (shadow DOM piercing): CSS matched inside any open shadow root
     if (lower.startsWith('pierce/')) {
-      return { strategy: 'css', query: selector.slice(7) };
+      return { strategy: 'pierce', query: selector.slice(7) };
     }
 
     return { strategy: 'css', query: selector };
@@ -361,6 +394,54 @@ class DeskAgentContent {
     }
   }
 
+  // Resolve a plain CSS selector, or a shadow-piercing one ("pierce/..." or "host >>> inner")
+  queryElement(selector) {
+    if (!selector) return null;
+    if (selector.includes('>>>') || /^pierce\//i.test(selector)) {
+      return this.queryDeep(selector.replace(/^pierce\//i, ''));
+    }
+    return document.querySelector(selector);
+  }
+
+  // Each ">>>"-separated part is matched in the previous match's subtree, including open shadow roots
+  queryDeep(selector) {
+    try {
+      return this.queryDeepChain(selector.split(/\s*>>>\s*/), document);
+    } catch (error) {
+      console.warn(`Invalid pierce selector: "${selector}"`, error);
+      return null;
+    }
+  }
+
+  queryDeepChain(parts, root) {
+    const matches = this.deepQuerySelectorAll(parts[0], root);
+    if (parts.length === 1) return matches[0] || null;
+
+    for (const match of matches) {
+      const found = this.queryDeepChain(parts.slice(1), match);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  deepQuerySelectorAll(selector, root = document) {
+    return this.getSearchRoots(root).flatMap(searchRoot => Array.from(searchRoot.querySelectorAll(selector)));
+  }
+
+  // root plus every open shadow root below it, in document order
+  getSearchRoots(root = document) {
+    const roots = [root];
+    if (root.shadowRoot) {
+      roots.push(...this.getSearchRoots(root.shadowRoot));
+    }
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) {
+        roots.push(...this.getSearchRoots(el.shadowRoot));
+      }
+    });
+    return roots;
+  }
+
   queryXPath(xpath) {
     try {
       const result = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
@@ -384,11 +465,11 @@ class DeskAgentContent {
     if (requiredRole) {
       selector += `[role="${this.cssEscape(requiredRole)}"]`;
     }
-    const exact = document.querySelector(selector);
+    const exact = this.deepQuerySelectorAll(selector)[0];
     if (exact) return exact;
 
     // Fallback to fuzzy matching
-    const candidates = Array.from(document.querySelectorAll('[aria-label], [aria-labelledby], [role]'));
+    const candidates = this.deepQuerySelectorAll('[aria-label], [aria-labelledby], [role]');
     const labelLower = ariaText.toLowerCase();
 
     const found = candidates.find(el => {
@@ -408,7 +489,7 @@ class DeskAgentContent {
       // Check aria-labelledby
       const ariaLabelledby = el.getAttribute('aria-labelledby');
       if (ariaLabelledby) {
-        const labelNode = document.getElementById(ariaLabelledby);
+        const labelNode = el.getRootNode().getElementById(ariaLabelledby);
         if (labelNode && labelNode.textContent && labelNode.textContent.toLowerCase().includes(labelLower)) {
           return true;
         }
@@ -444,14 +525,17 @@ class DeskAgentContent {
     const normalized = text.trim().toLowerCase();
     if (!normalized) return null;
 
-    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, null);
-    let node;
-    while ((node = walker.nextNode())) {
-      const value = node.textContent ? node.textContent.trim().toLowerCase() : '';
-      if (!value) continue;
-      if (value.includes(normalized)) {
-        // Find the nearest clickable ancestor instead of just parentElement
-        return this.findClickableAncestor(node.parentElement) || node.parentElement;
+    // Search the light DOM first, then open shadow roots
+    for (const root of this.getSearchRoots(document.body)) {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null);
+      let node;
+      while ((node = walker.nextNode())) {
+        const value = node.textContent ? node.textContent.trim().toLowerCase() : '';
+        if (!value) continue;
+        if (value.includes(normalized)) {
+          // Find the nearest clickable ancestor instead of just parentElement
+          return this.findClickableAncestor(node.parentElement) || node.parentElement;
+        }
       }
     }
     return null;
@@ -609,7 +693,7 @@ class DeskAgentContent {
 
   // Check if element is visible
   async isElementVisible(selector) {
-    const element = document.querySelector(selector);
+    const element = this.queryElement(selector);
     if (!element) return false;
     return this.isElementVisibleSync(element);
   }
@@ -631,12 +715,16 @@ class DeskAgentContent {
   }
 
   // Get element coordinates
-  async getElementCoordinates(selector) {
-    const element = document.querySelector(selector);
+  async getElementCoordinates(selector, options = {}) {
+    const element = this.queryElement(selector);
     if (!element) {
       return null;
     }
 
+    if (options.scrollIntoView) {
+      element.scrollIntoView({ block: 'center', inline: 'center' });
+    }
+
     const rect = element.getBoundingClientRect();
     return {
       x: rect.left + rect.width / 2,
@@ -650,9 +738,33 @@ class DeskAgentContent {
     };
   }
 
+  // Describe an iframe element; with a token, also ask the frame's own content script to report in.
+  // offset is where the iframe's document starts, in this frame's viewport coordinates
+  getFrameInfo(selector, token) {
+    const resolved = this.resolveSelector(selector);
+    const frameElement = resolved ? resolved.element : null;
+    if (!frameElement || !/^(IFRAME|FRAME)$/.test(frameElement.tagName)) {
+      return null;
+    }
+
+    if (token && frameElement.contentWindow) {
+      frameElement.contentWindow.postMessage({ deskAgentFrameToken: token }, '*');
+    }
+
+    const rect = frameElement.getBoundingClientRect();
+    const style = window.getComputedStyle(frameElement);
+
+    return {
+      offset: {
+        x: rect.left + frameElement.clientLeft + (parseFloat(style.paddingLeft) || 0),
+        y: rect.top + frameElement.clientTop + (parseFloat(style.paddingTop) || 0)
+      }
+    };
+  }
+
   // Press key using DOM events
   async pressKey(selector, key) {
-    const element = selector ? document.querySelector(selector) : document.activeElement;
+    const element = selector ? this.queryElement(selector) : document.activeElement;
     if (!element) {
       return { success: false, error: 'Element not found' };
     }
@@ -717,7 +829,7 @@ class DeskAgentContent {
 
   // Type text using DOM events (bypasses anti-automation like WhatsApp)
   async typeText(selector, text, options = {}) {
-    const element = document.querySelector(selector);
+    const element = this.queryElement(selector);
     if (!element) {
       return { success: false, error: 'Element not found' };
     }
@@ -817,9 +929,225 @@ class DeskAgentContent {
     };
   }
 
+  // Set the value of non-text controls: <select>, checkbox, radio, ARIA combobox/listbox.
+  // Returns { handled: false } for plain text inputs so the caller can fall back to typing.
+  async setControlValue(selector, value, options = {}) {
+    const element = this.queryElement(selector);
+    if (!element) {
+      return { handled: true, success: false, error: 'Element not found' };
+    }
+
+    const tagName = element.tagName.toLowerCase();
+    const inputType = tagName === 'input' ? (element.type || 'text').toLowerCase() : null;
+    const role = (element.getAttribute('role') || '').toLowerCase();
+
+    if (tagName === 'select') {
+      return this.setSelectValue(element, value, options);
+    }
+
+    if (inputType === 'checkbox' || inputType === 'radio') {
+      return this.setCheckedState(element, value, options);
+    }
+
+    if (role === 'checkbox' || role === 'switch' || role === 'radio') {
+      return this.setAriaCheckedState(element, value, options);
+    }
+
+    // Editable comboboxes (autocomplete inputs) are typed into by change; only select picks an option from them
+    const editable = tagName === 'input' || tagName === 'textarea' || element.isContentEditable;
+    if ((role === 'combobox' || role === 'listbox' || element.getAttribute('aria-haspopup') === 'listbox') && (!editable || options.pickOption)) {
+      return this.selectAriaOption(element, value, options);
+    }
+
+    return { handled: false };
+  }
+
+  setSelectValue(select, value, options = {}) {
+    const wanted = Array.isArray(value) ? value : [value];
+    const optionEls = Array.from(select.options);
+    const matched = wanted.map(item => this.matchSelectOption(optionEls, item, options.by));
+
+    const missing = wanted.filter((item, i) => !matched[i]);
+    if (missing.length) {
+      return { handled: true, success: false, error: `Option not found: ${missing.join(', ')}` };
+    }
+
+    if (select.multiple) {
+      optionEls.forEach(option => {
+        option.selected = matched.includes(option);
+      });
+    } else {
+      select.selectedIndex = matched[0].index;
+    }
+
+    select.focus();
+    select.dispatchEvent(new Event('input', { bubbles: true }));
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+
+    return {
+      handled: true,
+      success: true,
+      elementType: select.multiple ? 'select-multiple' : 'select',
+      value: select.multiple ? Array.from(select.selectedOptions).map(o => o.value) : select.value
+    };
+  }
+
+  // Match an <option> by value, label or index ("by" forces one strategy)
+  matchSelectOption(optionEls, item, by) {
+    const text = String(item ?? '').trim();
+    const byValue = () => optionEls.find(o => o.value === text);
+    const byLabel = () => optionEls.find(o => o.label.trim() === text || o.text.trim() === text) ||
+      optionEls.find(o => o.text.trim().toLowerCase() === text.toLowerCase());
+    const byIndex = () => (/^\d+$/.test(text) ? optionEls[parseInt(text, 10)] : undefined);
+
+    if (by === 'value') return byValue();
+    if (by === 'label') return byLabel();
+    if (by === 'index') return byIndex();
+    return byValue() || byLabel();
+  }
+
+  // Desired checked state from step options or value ("true"/"false", "on"/"off", "checked"/"unchecked")
+  resolveCheckedState(value, options = {}) {
+    if (typeof options.checked === 'boolean') return options.checked;
+    if (typeof value === 'boolean') return value;
+    const normalized = String(value ?? '').trim().toLowerCase();
+    if (['false', 'off', 'no', '0', 'unchecked'].includes(normalized)) return false;
+    return true;
+  }
+
+  setCheckedState(input, value, options = {}) {
+    let target = input;
+
+    // For radios, a value that is not a checked-state keyword selects a sibling in the same group
+    const keyword = /^(true|false|on|off|yes|no|checked|unchecked|0|1)?$/i.test(String(value ?? '').trim());
+    if (input.type === 'radio' && !keyword && input.name) {
+      const scope = input.form || document;
+      const radios = Array.from(scope.querySelectorAll(`input[type="radio"][name="${this.cssEscape(input.name)}"]`));
+      target = radios.find(r => r.value === String(value)) ||
+        radios.find(r => r.labels && Array.from(r.labels).some(l => l.textContent.trim() === String(value).trim()));
+      if (!target) {
+        return { handled: true, success: false, error: `Radio option not found: ${value}` };
+      }
+    }
+
+    const desired = target.type === 'radio' && !keyword ? true : this.resolveCheckedState(value, options);
+
+    // Clicking fires the native input/change events; radios cannot be unchecked by clicking
+    if (target.checked !== desired) {
+      if (target.type === 'radio' && !desired) {
+        target.checked = false;
+        target.dispatchEvent(new Event('input', { bubbles: true }));
+        target.dispatchEvent(new Event('change', { bubbles: true }));
+      } else {
+        target.click();
+      }
+    }
+
+    return { handled: true, success: target.checked === desired, elementType: target.type, value: target.checked };
+  }
+
+  setAriaCheckedState(element, value, options = {}) {
+    const desired = this.resolveCheckedState(value, options);
+    const current = element.getAttribute('aria-checked') === 'true';
+
+    if (current !== desired) {
+      this.dispatchClickSequence(element);
+    }
+
+    const now = element.getAttribute('aria-checked') === 'true';
+    return { handled: true, success: now === desired, elementType: element.getAttribute('role'), value: now };
+  }
+
+  // Open an ARIA combobox (or use a listbox directly), pick option(s) by label/value, then confirm
+  async selectAriaOption(element, value, options = {}) {
+    const role = (element.getAttribute('role') || '').toLowerCase();
+    const timeout = options.timeout || 3000;
+    let listbox = role === 'listbox' ? element : null;
+
+    if (!listbox) {
+      if (element.getAttribute('aria-expanded') !== 'true') {
+        this.dispatchClickSequence(element);
+      }
+
+      const startTime = Date.now();
+      while (!listbox && Date.now() - startTime < timeout) {
+        listbox = this.findOwnedListbox(element);
+        if (!listbox) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+      }
+
+      if (!listbox) {
+        return { handled: true, success: false, error: 'Listbox did not open for combobox' };
+      }
+    }
+
+    const wanted = Array.isArray(value) ? value : [value];
+    const picked = [];
+
+    for (const item of wanted) {
+      const text = String(item ?? '').trim().toLowerCase();
+      const optionEls = Array.from(listbox.querySelectorAll('[role="option"]'))
+        .filter(o => o.getAttribute('aria-disabled') !== 'true');
+      const option = optionEls.find(o => (o.getAttribute('data-value') || '').toLowerCase() === text) ||
+        optionEls.find(o => o.textContent.trim().toLowerCase() === text) ||
+        optionEls.find(o => o.textContent.trim().toLowerCase().includes(text));
+
+      if (!option) {
+        return { handled: true, success: false, error: `Option not found: ${item}` };
+      }
+
+      option.scrollIntoView({ block: 'nearest' });
+      this.dispatchClickSequence(option);
+      picked.push(option.textContent.trim());
+    }
+
+    if (options.confirmKey) {
+      await this.pressKey(null, options.confirmKey);
+    }
+
+    return { handled: true, success: true, elementType: role || 'combobox', value: picked.length > 1 ? picked : picked[0] };
+  }
+
+  findOwnedListbox(combobox) {
+    const ids = `${combobox.getAttribute('aria-controls') || ''} ${combobox.getAttribute('aria-owns') || ''}`
+      .split(/\s+/)
+      .filter(Boolean);
+
+    for (const id of ids) {
+      const owned = document.getElementById(id);
+      if (owned && this.isElementVisibleSync(owned)) {
+        return owned.getAttribute('role') === 'listbox' ? owned : owned.querySelector('[role="listbox"]') || owned;
+      }
+    }
+
+    return Array.from(document.querySelectorAll('[role="listbox"]')).find(el => this.isElementVisibleSync(el)) || null;
+  }
+
+  // Minimal pointer/mouse event sequence for widgets that ignore element.click()
+  dispatchClickSequence(element) {
+    const rect = element.getBoundingClientRect();
+    const eventOptions = {
+      bubbles: true,
+      cancelable: true,
+      view: window,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2,
+      button: 0,
+      buttons: 1
+    };
+    const pointerOptions = { ...eventOptions, pointerId: 1, pointerType: 'mouse', isPrimary: true };
+
+    element.dispatchEvent(new PointerEvent('pointerdown', pointerOptions));
+    element.dispatchEvent(new MouseEvent('mousedown', eventOptions));
+    element.dispatchEvent(new PointerEvent('pointerup', pointerOptions));
+    element.dispatchEvent(new MouseEvent('mouseup', eventOptions));
+    element.dispatchEvent(new MouseEvent('click', eventOptions));
+  }
+
   // Click element using DOM events (more reliable than debugger API)
   async clickElement(selector, options = {}) {
-    const element = document.querySelector(selector);
+    const element = this.queryElement(selector);
     if (!element) {
       return { success: false, error: 'Element not found' };
     }
@@ -844,6 +1172,16 @@ class DeskAgentContent {
     const x = options.offsetX !== undefined ? rect.left + options.offsetX : rect.left + rect.width / 2;
     const y = options.offsetY !== undefined ? rect.top + options.offsetY : rect.top + rect.height / 2;
 
+    // MouseEvent.button is 0/1/2 for left/middle/right, while buttons is a bitmask (1 left, 2 right, 4 middle)
+    const buttonName = options.button || 'left';
+    const button = { left: 0, middle: 1, right: 2, back: 3, forward: 4 }[buttonName] ?? 0;
+    const modifierOptions = {
+      altKey: !!options.altKey,
+      ctrlKey: !!options.ctrlKey,
+      metaKey: !!options.metaKey,
+      shiftKey: !!options.shiftKey
+    };
+
     // Create mouse events with coordinates (like WhatsApp Web)
     const mouseEventOptions = {
       bubbles: true,
@@ -853,8 +1191,9 @@ class DeskAgentContent {
       clientY: y,
       screenX: x + window.screenX,
       screenY: y + window.screenY,
-      button: 0,
-      buttons: 1
+      ...modifierOptions,
+      button,
+      buttons: { left: 1, right: 2, middle: 4, back: 8, forward: 16 }[buttonName] ?? 1
     };
 
     // Dispatch full sequence of pointer and mouse events (for modern web apps like WhatsApp)
@@ -894,14 +1233,50 @@ class DeskAgentContent {
     clickableElement.dispatchEvent(new PointerEvent('pointerout', pointerEventOptions));
     clickableElement.dispatchEvent(new PointerEvent('pointerleave', pointerEventOptions));
 
-    clickableElement.dispatchEvent(new MouseEvent('mouseup', mouseEventOptions));
-    clickableElement.dispatchEvent(new MouseEvent('click', mouseEventOptions));
+    const releasedOptions = { ...mouseEventOptions, buttons: 0 };
+    clickableElement.dispatchEvent(new MouseEvent('mouseup', releasedOptions));
+
+    // Right and middle buttons fire contextmenu/auxclick instead of click
+    if (buttonName !== 'left') {
+      const notPrevented = clickableElement.dispatchEvent(new MouseEvent(buttonName === 'right' ? 'contextmenu' : 'auxclick', releasedOptions));
+      // Middle-clicking a link opens it in a new tab. window.open here has no user gesture and would be
+      // popup-blocked, so the background opens the tab
+      const opensLink = buttonName === 'middle' && notPrevented && clickableElement.tagName === 'A' && clickableElement.href;
+      return {
+        success: true,
+        tagName: clickableElement.tagName,
+        href: clickableElement.href || null,
+        openInNewTab: opensLink ? clickableElement.href : null,
+        coordinates: { x, y },
+        button: buttonName,
+        usedAncestor: clickableElement !== element,
+        originalTag: element.tagName
+      };
+    }
+
+    // Repeat mousedown/mouseup for the extra clicks of a double click; detail carries the click count
+    const clickCount = options.clickCount || 1;
+    let clickNotPrevented = true;
+    for (let count = 1; count <= clickCount; count++) {
+      if (count > 1) {
+        clickableElement.dispatchEvent(new MouseEvent('mousedown', { ...mouseEventOptions, detail: count }));
+        clickableElement.dispatchEvent(new MouseEvent('mouseup', { ...releasedOptions, detail: count }));
+      }
+      clickNotPrevented = clickableElement.dispatchEvent(new MouseEvent('click', { ...releasedOptions, detail: count }));
+    }
 
-    // Also dispatch dblclick for apps that might need it (like WhatsApp)
-    clickableElement.dispatchEvent(new MouseEvent('dblclick', mouseEventOptions));
+    // Only a double click fires dblclick; a single click must not look like one to edit-in-place widgets
+    if (clickCount >= 2) {
+      clickableElement.dispatchEvent(new MouseEvent('dblclick', { ...releasedOptions, detail: clickCount }));
+    }
+
+    const opensNewTab = modifierOptions.ctrlKey || modifierOptions.metaKey;
+    let openInNewTab = null;
 
-    // For links, also trigger navigation if click wasn't prevented
-    if (clickableElement.tagName === 'A' && clickableElement.href) {
+    // Ctrl/Cmd-click on a link: the background opens the tab (no popup blocker), unless the page handled the click
+    if (clickableElement.tagName === 'A' && clickableElement.href && opensNewTab) {
+      openInNewTab = clickNotPrevented ? clickableElement.href : null;
+    } else if (clickableElement.tagName === 'A' && clickableElement.href) {
       // Check if default was prevented
       const clickEvent = new MouseEvent('click', { ...mouseEventOptions, cancelable: true });
       const notPrevented = clickableElement.dispatchEvent(clickEvent);
@@ -919,12 +1294,195 @@ class DeskAgentContent {
       success: true,
       tagName: clickableElement.tagName,
       href: clickableElement.href || null,
+      openInNewTab,
       coordinates: { x, y },
       usedAncestor: clickableElement !== element,
       originalTag: element.tagName
     };
   }
 
+  // Extract text/attribute/value data from a single element or a repeated list of items
+  async extractData(selector, options = {}) {
+    if (options.list) {
+      const root = selector ? this.queryElement(selector) : document;
+      if (!root) {
+        return { success: false, error: 'Container element not found' };
+      }
+
+      let items = Array.from(root.querySelectorAll(options.itemSelector || '*'));
+      if (options.limit) {
+        items = items.slice(0, options.limit);
+      }
+
+      const values = items.map(item => options.fields
+        ? this.extractFields(item, options.fields)
+        : this.readElementValue(item, options));
+
+      return { success: true, value: values, count: values.length };
+    }
+
+    const element = this.queryElement(selector);
+    if (!element) {
+      return { success: false, error: 'Element not found' };
+    }
+
+    const value = options.fields
+      ? this.extractFields(element, options.fields)
+      : this.readElementValue(element, options);
+
+    return { success: true, value, tagName: element.tagName };
+  }
+
+  // Build an object from a field map: { name: "css" | { selector, attribute, mode, multiple } }
+  extractFields(root, fields) {
+    const result = {};
+
+    for (const [name, rawSpec] of Object.entries(fields)) {
+      const spec = typeof rawSpec === 'string' ? { selector: rawSpec } : (rawSpec || {});
+
+      if (spec.multiple) {
+        const matches = spec.selector ? Array.from(root.querySelectorAll(spec.selector)) : [root];
+        result[name] = matches.map(el => this.readElementValue(el, spec));
+        continue;
+      }
+
+      const target = spec.selector ? root.querySelector(spec.selector) : root;
+      result[name] = target ? this.readElementValue(target, spec) : (spec.default ?? null);
+    }
+
+    return result;
+  }
+
+  // Read a single value from an element: text (default), html, value, or a named attribute
+  readElementValue(element, options = {}) {
+    if (options.attribute) {
+      return element.getAttribute(options.attribute);
+    }
+
+    let value;
+    switch (options.mode) {
+      case 'value':
+        if (element.type === 'checkbox' || element.type === 'radio') {
+          return element.checked;
+        }
+        if (element.tagName === 'SELECT' && element.multiple) {
+          return Array.from(element.selectedOptions).map(option => option.value);
+        }
+        value = element.isContentEditable ? element.innerText : element.value;
+        break;
+      case 'html':
+        value = element.innerHTML;
+        break;
+      default:
+        value = element.innerText !== undefined ? element.innerText : element.textContent;
+    }
+
+    if (typeof value === 'string' && options.trim !== false) {
+      value = value.trim();
+    }
+
+    return value ?? null;
+  }
+
+  // Convert an HTML <table> or ARIA grid/table into an array of row objects
+  async extractTable(selector, options = {}) {
+    const target = selector ? this.queryElement(selector) : document;
+    if (!target) {
+      return { success: false, error: 'Table element not found' };
+    }
+
+    const tableSelector = 'table, [role="grid"], [role="table"], [role="treegrid"]';
+    const table = target.matches?.(tableSelector) ? target : target.querySelector(tableSelector);
+    if (!table) {
+      return { success: false, error: 'No <table> or ARIA grid found' };
+    }
+
+    const isHtmlTable = table.tagName === 'TABLE';
+    const rows = this.getTableRows(table, isHtmlTable)
+      .map(row => this.getRowCells(row, isHtmlTable))
+      .filter(cells => cells.length > 0);
+
+    // Header detection: explicit list, th/columnheader row, or first row when hasHeader is true
+    let headers = Array.isArray(options.headers) ? options.headers.slice() : null;
+    if (!headers && rows.length && options.hasHeader !== false) {
+      const firstRow = rows[0];
+      const isHeaderRow = firstRow.every(cell => cell.tagName === 'TH' || cell.getAttribute('role') === 'columnheader');
+      if (isHeaderRow || options.hasHeader === true) {
+        headers = firstRow.map(cell => this.readElementValue(cell));
+        rows.shift();
+      }
+    }
+
+    const columnCount = Math.max(headers ? headers.length : 0, ...rows.map(cells => cells.length));
+    if (!headers) {
+      headers = Array.from({ length: columnCount }, (_, i) => `column${i + 1}`);
+    }
+
+    // Column renaming: { "Original Header": "newName" }, a null/false value drops the column
+    const rename = options.columns || {};
+    const keys = headers.map((header, i) => {
+      const label = header || `column${i + 1}`;
+      return label in rename ? rename[label] : label;
+    });
+
+    const records = [];
+    for (const cells of rows) {
+      const record = {};
+      let hasContent = false;
+
+      cells.forEach((cell, i) => {
+        const key = keys[i];
+        if (key === null || key === false || key === undefined) return;
+        const value = options.cellAttribute
+          ? cell.getAttribute(options.cellAttribute)
+          : this.readElementValue(cell);
+        if (value) hasContent = true;
+        record[key] = value;
+      });
+
+      if (hasContent || options.includeEmptyRows) {
+        records.push(record);
+      }
+    }
+
+    return {
+      success: true,
+      headers: keys.filter(key => key !== null && key !== false),
+      rows: options.limit ? records.slice(0, options.limit) : records,
+      hasNext: options.nextSelector ? this.isPaginationControlEnabled(options.nextSelector) : false
+    };
+  }
+
+  getTableRows(table, isHtmlTable) {
+    if (isHtmlTable) {
+      return Array.from(table.rows);
+    }
+    // Only keep rows that belong to this grid, not to a nested one
+    return Array.from(table.querySelectorAll('[role="row"]'))
+      .filter(row => row.parentElement.closest('[role="grid"], [role="table"], [role="treegrid"]') === table);
+  }
+
+  getRowCells(row, isHtmlTable) {
+    if (isHtmlTable) {
+      return Array.from(row.cells);
+    }
+    return Array.from(row.querySelectorAll('[role="gridcell"], [role="cell"], [role="columnheader"], [role="rowheader"]'))
+      .filter(cell => cell.parentElement.closest('[role="row"]') === row);
+  }
+
+  isPaginationControlEnabled(selector) {
+    let control = null;
+    try {
+      control = this.queryElement(selector);
+    } catch (error) {
+      console.warn(`Invalid pagination selector: "${selector}"`, error);
+    }
+    if (!control) return false;
+    return !control.disabled &&
+      control.getAttribute('aria-disabled') !== 'true' &&
+      this.isElementVisibleSync(control);
+  }
+
   // Helper methods that can be called from background script
   static async findElements(selector) {
     const elements = document.querySelectorAll(selector);
@@ -45,24 +45,21 @@
       };
 
       try {
-        result.selector = this.#buildCSSSelector(element, config);
-        const matches = document.querySelectorAll(result.selector);
-        result.metadata.isUnique = matches.length === 1;
-        result.metadata.specificity = this.#calculateSpecificity(result.selector);
-
-        if (!result.metadata.isUnique && config.optimizeSelector) {
-          const optimized = this.#optimizeSelector(element, result.selector, config);
-          if (optimized) {
-            result.selector = optimized;
-            const optimizedMatches = document.querySelectorAll(result.selector);
-            result.metadata.isUnique = optimizedMatches.length === 1;
-            result.metadata.specificity = this.#calculateSpecificity(result.selector);
-          }
+        // Elements inside open shadow roots get one segment per root, joined host-first with ">>>"
+        const segments = [];
+        let current = element;
+        result.metadata.isUnique = true;
+        while (current) {
+          const root = current.getRootNode();
+          const scoped = this.#buildScopedSelector(current, { ...config, root });
+          segments.unshift(scoped.selector);
+          result.metadata.isUnique = result.metadata.isUnique && scoped.isUnique;
+          result.metadata.specificity += scoped.specificity;
+          current = typeof ShadowRoot !== 'undefined' && root instanceof ShadowRoot ? root.host : null;
         }
 
-        if (!result.selector) {
-          result.selector = this.#getFallbackSelector(element);
-        }
+        result.selector = segments.join(' >>> ');
+        result.metadata.shadowDepth = segments.length - 1;
 
         if (config.includeCoordinates) {
           result.coordinates = this.#getElementCoordinates(element);
@@ -79,6 +76,25 @@
       }
     }
 
+    #buildScopedSelector(element, config) {
+      let selector = this.#buildCSSSelector(element, config);
+      let isUnique = config.root.querySelectorAll(selector).length === 1;
+
+      if (!isUnique && config.optimizeSelector) {
+        const optimized = this.#optimizeSelector(element, selector, config);
+        if (optimized) {
+          selector = optimized;
+          isUnique = config.root.querySelectorAll(selector).length === 1;
+        }
+      }
+
+      if (!selector) {
+        selector = this.#getFallbackSelector(element);
+      }
+
+      return { selector, isUnique, specificity: this.#calculateSpecificity(selector) };
+    }
+
     buildSelectorForMatch(selector, options = {}) {
       if (!selector) return null;
       const element = document.querySelector(selector);
@@ -115,7 +131,7 @@
 
         if (attr === 'id') {
           const idSelector = `#${cssEscape(value)}`;
-          if (document.querySelectorAll(idSelector).length === 1) {
+          if (config.root.querySelectorAll(idSelector).length === 1) {
             return { value: idSelector, isUnique: true };
           }
         } else if (attr === 'class') {
@@ -125,14 +141,14 @@
             .slice(0, 2);
           if (classes.length) {
             const classSelector = selector + '.' + classes.map(c => cssEscape(c)).join('.');
-            if (document.querySelectorAll(classSelector).length === 1) {
+            if (config.root.querySelectorAll(classSelector).length === 1) {
               return { value: classSelector, isUnique: true };
             }
             selector = classSelector;
           }
         } else {
           const attrSelector = `${selector}[${attr}="${cssEscape(value)}"]`;
-          if (document.querySelectorAll(attrSelector).length === 1) {
+          if (config.root.querySelectorAll(attrSelector).length === 1) {
             return { value: attrSelector, isUnique: true };
           }
           selector = attrSelector;
@@ -153,12 +169,12 @@
     #optimizeSelector(element, baseSelector, config) {
       if (!element) return baseSelector;
       const enhanced = this.#enhanceSelector(element, baseSelector);
-      if (enhanced && enhanced !== baseSelector && document.querySelectorAll(enhanced).length === 1) {
+      if (enhanced && enhanced !== baseSelector && config.root.querySelectorAll(enhanced).length === 1) {
         return enhanced;
       }
 
       const dataSelector = this.#buildDataAttributeSelector(element);
-      if (dataSelector && document.querySelectorAll(dataSelector).length === 1) {
+      if (dataSelector && config.root.querySelectorAll(dataSelector).length === 1) {
         return dataSelector;
       }
 